@@ -529,7 +529,7 @@ DataStream.prototype.writeInt32Array = function(arr, e) {
   if (arr instanceof Int32Array &&
       this.byteOffset+this.position % arr.BYTES_PER_ELEMENT == 0) {
     DataStream.memcpy(this._buffer, this.byteOffset+this.position,
-                      arr.buffer, 0,
+                      arr.buffer, arr.byteOffset,
                       arr.byteLength);
     this.mapInt32Array(arr.length, e);
   } else {
@@ -550,7 +550,7 @@ DataStream.prototype.writeInt16Array = function(arr, e) {
   if (arr instanceof Int16Array &&
       this.byteOffset+this.position % arr.BYTES_PER_ELEMENT == 0) {
     DataStream.memcpy(this._buffer, this.byteOffset+this.position,
-                      arr.buffer, 0,
+                      arr.buffer, arr.byteOffset,
                       arr.byteLength);
     this.mapInt16Array(arr.length, e);
   } else {
@@ -570,7 +570,7 @@ DataStream.prototype.writeInt8Array = function(arr) {
   if (arr instanceof Int8Array &&
       this.byteOffset+this.position % arr.BYTES_PER_ELEMENT == 0) {
     DataStream.memcpy(this._buffer, this.byteOffset+this.position,
-                      arr.buffer, 0,
+                      arr.buffer, arr.byteOffset,
                       arr.byteLength);
     this.mapInt8Array(arr.length);
   } else {
@@ -591,7 +591,7 @@ DataStream.prototype.writeUint32Array = function(arr, e) {
   if (arr instanceof Uint32Array &&
       this.byteOffset+this.position % arr.BYTES_PER_ELEMENT == 0) {
     DataStream.memcpy(this._buffer, this.byteOffset+this.position,
-                      arr.buffer, 0,
+                      arr.buffer, arr.byteOffset,
                       arr.byteLength);
     this.mapUint32Array(arr.length, e);
   } else {
@@ -612,7 +612,7 @@ DataStream.prototype.writeUint16Array = function(arr, e) {
   if (arr instanceof Uint16Array &&
       this.byteOffset+this.position % arr.BYTES_PER_ELEMENT == 0) {
     DataStream.memcpy(this._buffer, this.byteOffset+this.position,
-                      arr.buffer, 0,
+                      arr.buffer, arr.byteOffset,
                       arr.byteLength);
     this.mapUint16Array(arr.length, e);
   } else {
@@ -632,7 +632,7 @@ DataStream.prototype.writeUint8Array = function(arr) {
   if (arr instanceof Uint8Array &&
       this.byteOffset+this.position % arr.BYTES_PER_ELEMENT == 0) {
     DataStream.memcpy(this._buffer, this.byteOffset+this.position,
-                      arr.buffer, 0,
+                      arr.buffer, arr.byteOffset,
                       arr.byteLength);
     this.mapUint8Array(arr.length);
   } else {
@@ -653,7 +653,7 @@ DataStream.prototype.writeFloat64Array = function(arr, e) {
   if (arr instanceof Float64Array &&
       this.byteOffset+this.position % arr.BYTES_PER_ELEMENT == 0) {
     DataStream.memcpy(this._buffer, this.byteOffset+this.position,
-                      arr.buffer, 0,
+                      arr.buffer, arr.byteOffset,
                       arr.byteLength);
     this.mapFloat64Array(arr.length, e);
   } else {
@@ -674,7 +674,7 @@ DataStream.prototype.writeFloat32Array = function(arr, e) {
   if (arr instanceof Float32Array &&
       this.byteOffset+this.position % arr.BYTES_PER_ELEMENT == 0) {
     DataStream.memcpy(this._buffer, this.byteOffset+this.position,
-                      arr.buffer, 0,
+                      arr.buffer, arr.byteOffset,
                       arr.byteLength);
     this.mapFloat32Array(arr.length, e);
   } else {
@@ -27,15 +27,16 @@
         // Node. Does not work with strict CommonJS, but
         // only CommonJS-like environments that support module.exports,
         // like Node.
-        module.exports = factory(require('./DataStream'));
+        module.exports = factory(require('./DataStream'), require('crypto'));
     } else {
         // Browser globals (root is window)
         root.JSBON = factory(root.DataStream);
     }
-}(this, function (DataStream) {
+}(this, function (DataStream, nodeCrypto) {
     "use strict";
     
-    const MAJOR_VERSION = 1;
+    const MAJOR_VERSION = 2;
+    const MINOR_VERSION = 0;
 
     /** 
      * UTF-8 helper functions
@@ -48,14 +49,119 @@
       return decodeURIComponent(escape(s));
     }
     
+    /**
+     * Error thrown when encoding or decoding fails.
+     *
+     * The code is one of INVALID_ARGUMENT, UNSUPPORTED_TYPE, INVALID_DATA, BAD_TAG, TRUNCATED,
+     * BAD_REFERENCE, LIMIT_EXCEEDED, CRC_MISMATCH, VERSION_TOO_NEW, DICTIONARY_MISMATCH, 
+     * BAD_SIGNATURE and DECRYPTION_FAILED. The offset is the position 
+     * in the data where the error occurred (when relevant), and the path lists the property names 
+     * and indices leading to the failing value.
+     *
+     * @constructor
+     * @param {string} code Error code
+     * @param {string} reason Error description
+     * @param {number} offset Position in the data
+     */
+    var JSBONError = function (code, reason, offset) {
+        this.name = "JSBONError";
+        this.code = code;
+        this.reason = reason;
+        this.offset = offset;
+        this.path = [];
+        this.message = this.format();
+        
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, JSBONError);
+        } else {
+            this.stack = (new Error(this.message)).stack;
+        }
+    };
+    JSBONError.prototype = Object.create(Error.prototype);
+    JSBONError.prototype.constructor = JSBONError;
+    
+    JSBONError.prototype.format = function () {
+        var message = this.reason;
+        
+        if (this.offset !== undefined) {
+            message += " at offset " + this.offset;
+        }
+        if (this.path.length > 0) {
+            message += " in /" + this.path.join("/");
+        }
+        return message;
+    };
+    
+    /**
+     * Prepend the property name or index of a containing value to the path.
+     */
+    JSBONError.prototype.addPath = function (key) {
+        this.path.unshift(key);
+        this.message = this.format();
+    };
+    
+    /**
+     * Set a property, as an own data property even for "__proto__" (as JSON.parse does),
+     * so that decoded data cannot change the prototype of objects.
+     */
+    function setProperty(obj, key, value) {
+        if (key === "__proto__") {
+            Object.defineProperty(obj, key, { value: value, writable: true, enumerable: true, configurable: true });
+        } else {
+            obj[key] = value;
+        }
+    }
+    
+    /**
+     * Whether an error is a stack overflow (a RangeError in V8 and JavaScriptCore, an InternalError
+     * in SpiderMonkey).
+     */
+    function isStackOverflow(e) {
+        // No regular expression, as compiling it may overflow the stack too
+        return (e instanceof RangeError && String(e.message).indexOf("call stack") !== -1)
+            || (e instanceof Error && e.name === "InternalError" && String(e.message).indexOf("recursion") !== -1);
+    }
+    
+    /**
+     * Data stream for decoding, checking reads against the end of data, so that reading past it
+     * fails with a TRUNCATED error (rather than reading beyond the end of a view on a larger buffer, 
+     * or failing with a RangeError).
+     *
+     * @constructor
+     * @param {ArrayBuffer|Uint8Array|DataView} arrayBuffer Encoded data
+     */
+    var ReadStream = function (arrayBuffer) {
+        DataStream.call(this, arrayBuffer, 0, DataStream.BIG_ENDIAN);
+    };
+    ReadStream.prototype = Object.create(DataStream.prototype);
+    ReadStream.prototype.constructor = ReadStream;
+    
+    ReadStream.prototype.checkRead = function (size) {
+        if (size > this.byteLength - this.position) {
+            throw new JSBONError("TRUNCATED", "Truncated data", this.position);
+        }
+    };
+    
+    [["Uint8", 1], ["Int8", 1], ["Uint16", 2], ["Int16", 2], ["Uint32", 4], ["Int32", 4], ["Float32", 4], ["Float64", 8]].forEach(function(type) {
+        var read = DataStream.prototype["read" + type[0]];
+        var readArray = DataStream.prototype["read" + type[0] + "Array"];
+        
+        ReadStream.prototype["read" + type[0]] = function (e) {
+            this.checkRead(type[1]);
+            return read.call(this, e);
+        };
+        ReadStream.prototype["read" + type[0] + "Array"] = function (length, e) {
+            this.checkRead(length * type[1]);
+            return readArray.call(this, length, e);
+        };
+    });
+    
     /** 
-     * CRC-32 algorithm
+     * CRC-32 algorithm (for a given reversed polynomial)
      * Loosely inspired by sample code on the Internet 
      */
 
-    var crc32 = (function () {
-        "use strict";
-
+    function createCRC32(polynomial) {
         var table = new Uint32Array(256);
 
         // Pre-generate crc32 polynomial lookup table
@@ -64,16 +170,17 @@
             var tmp = i;
 
             for (k = 8; k--;) {
-                tmp = tmp & 1 ? 3988292384 ^ tmp >>> 1 : tmp >>> 1;
+                tmp = tmp & 1 ? polynomial ^ tmp >>> 1 : tmp >>> 1;
             }
             table[i] = tmp;
         }
 
         // crc32b function
         // param {Uint8Array} input     Byte array
+        // param {Uint32}     previous  CRC value of preceding data, when computed incrementally
         // returns {Uint32}   CRC value
-        return function (data) {
-            var crc = -1; // Begin with all bits set (0xffffffff)
+        return function (data, previous) {
+            var crc = (previous === undefined) ? -1 : (previous ^ -1); // Begin with all bits set (0xffffffff)
             var i, l;
             for (i = 0, l = data.length; i < l; i += 1) {
                 crc = crc >>> 8 ^ table[crc & 255 ^ data[i]];
@@ -81,7 +188,482 @@
 
             return (crc ^ -1) >>> 0; // Binary NOT
         };
-    })();
+    }
+    
+    var crc32 = createCRC32(0xEDB88320);
+    var crc32c = createCRC32(0x82F63B78); // Castagnoli
+    
+    /**
+     * Adler-32 algorithm
+     */
+    function adler32(data) {
+        var a = 1, b = 0, i = 0, n, l = data.length;
+        while (i < l) {
+            // Largest block before the sums may overflow
+            n = Math.min(l, i + 5552);
+            for (; i < n; i += 1) {
+                a += data[i];
+                b += a;
+            }
+            a %= 65521;
+            b %= 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+    
+    /**
+     * xxHash32 algorithm (with a zero seed)
+     */
+    var XXH_PRIME1 = 2654435761, XXH_PRIME2 = 2246822519, XXH_PRIME3 = 3266489917;
+    var XXH_PRIME4 = 668265263, XXH_PRIME5 = 374761393;
+    
+    function xxhRound(acc, lane) {
+        acc = (acc + Math.imul(lane, XXH_PRIME2)) | 0;
+        acc = (acc << 13) | (acc >>> 19);
+        return Math.imul(acc, XXH_PRIME1);
+    }
+    
+    function xxhash32(data) {
+        var l = data.length, i = 0, h, lane;
+        
+        function read32(i) {
+            return data[i] | (data[i + 1] << 8) | (data[i + 2] << 16) | (data[i + 3] << 24);
+        }
+        
+        if (l >= 16) {
+            var v1 = (XXH_PRIME1 + XXH_PRIME2) | 0, v2 = XXH_PRIME2 | 0, v3 = 0, v4 = -XXH_PRIME1 | 0;
+            for (; i + 16 <= l; i += 16) {
+                v1 = xxhRound(v1, read32(i));
+                v2 = xxhRound(v2, read32(i + 4));
+                v3 = xxhRound(v3, read32(i + 8));
+                v4 = xxhRound(v4, read32(i + 12));
+            }
+            h = ((v1 << 1) | (v1 >>> 31)) + ((v2 << 7) | (v2 >>> 25)) + ((v3 << 12) | (v3 >>> 20)) + ((v4 << 18) | (v4 >>> 14));
+        } else {
+            h = XXH_PRIME5;
+        }
+        h = (h + l) | 0;
+        
+        for (; i + 4 <= l; i += 4) {
+            h = (h + Math.imul(read32(i), XXH_PRIME3)) | 0;
+            h = Math.imul((h << 17) | (h >>> 15), XXH_PRIME4);
+        }
+        for (; i < l; i += 1) {
+            h = (h + Math.imul(data[i], XXH_PRIME5)) | 0;
+            h = Math.imul((h << 11) | (h >>> 21), XXH_PRIME1);
+        }
+        
+        h = Math.imul(h ^ (h >>> 15), XXH_PRIME2);
+        h = Math.imul(h ^ (h >>> 13), XXH_PRIME3);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+    
+    /**
+     * Checksum algorithms (for checksums of the whole data), by identifier
+     */
+    var CHECKSUMS = new Map([
+        [1, { id: 1, name: "crc32", compute: crc32 }],
+        [2, { id: 2, name: "crc32c", compute: crc32c }],
+        [3, { id: 3, name: "adler32", compute: adler32 }],
+        [4, { id: 4, name: "xxhash32", compute: xxhash32 }]
+    ]);
+
+    /**
+     * LZ compression, in the spirit of LZ4 block format: a sequence of tokens, each followed by
+     * literals, then a match (16-bit offset back in the output). The high nibble of the token is
+     * the number of literals, the low nibble the match length minus 4 (15 meaning that more
+     * bytes follow, adding up until one is not 255). The last sequence has literals only.
+     */
+    var LZ_MIN_MATCH = 4;
+    var LZ_MAX_OFFSET = 0xFFFF;
+    var LZ_MAX_RATIO = 255; // Each byte of compressed data gives at most 255 bytes of uncompressed data
+
+    function lzLength(dst, op, length) {
+        while (length >= 255) {
+            dst[op++] = 255;
+            length -= 255;
+        }
+        dst[op++] = length;
+        return op;
+    }
+
+    /**
+     * @param {Uint8Array} src Data to compress
+     * @return {Uint8Array} Compressed data
+     */
+    function lzCompress(src) {
+        var n = src.length;
+        var dst = new Uint8Array(n + Math.ceil(n / 255) + 16);
+        var table = new Int32Array(65536); // Last positions (plus one) of 4-byte sequences, by hash
+        var ip = 0, op = 0, anchor = 0;
+        var seq, h, ref, length, literals, token;
+
+        while (ip + LZ_MIN_MATCH <= n) {
+            seq = (src[ip] << 24) | (src[ip + 1] << 16) | (src[ip + 2] << 8) | src[ip + 3];
+            h = Math.imul(seq, 2654435761) >>> 16;
+            ref = table[h] - 1;
+            table[h] = ip + 1;
+
+            if (ref < 0 || ip - ref > LZ_MAX_OFFSET
+                || src[ref] !== src[ip] || src[ref + 1] !== src[ip + 1]
+                || src[ref + 2] !== src[ip + 2] || src[ref + 3] !== src[ip + 3]) {
+                ip += 1;
+                continue;
+            }
+
+            length = LZ_MIN_MATCH;
+            while (ip + length < n && src[ref + length] === src[ip + length]) {
+                length += 1;
+            }
+
+            literals = ip - anchor;
+            token = op++;
+            dst[token] = ((literals >= 15 ? 15 : literals) << 4) | (length - LZ_MIN_MATCH >= 15 ? 15 : length - LZ_MIN_MATCH);
+            if (literals >= 15) {
+                op = lzLength(dst, op, literals - 15);
+            }
+            dst.set(src.subarray(anchor, ip), op);
+            op += literals;
+            dst[op++] = (ip - ref) >>> 8;
+            dst[op++] = (ip - ref) & 0xFF;
+            if (length - LZ_MIN_MATCH >= 15) {
+                op = lzLength(dst, op, length - LZ_MIN_MATCH - 15);
+            }
+
+            ip += length;
+            anchor = ip;
+        }
+
+        // Last literals
+        literals = n - anchor;
+        dst[op++] = (literals >= 15 ? 15 : literals) << 4;
+        if (literals >= 15) {
+            op = lzLength(dst, op, literals - 15);
+        }
+        dst.set(src.subarray(anchor, n), op);
+        op += literals;
+
+        return dst.slice(0, op);
+    }
+
+    /**
+     * @param {Uint8Array} src Compressed data
+     * @param {number} size Size of the uncompressed data
+     * @return {Uint8Array} Uncompressed data
+     * @throws {JSBONError} If the compressed data are invalid or truncated
+     */
+    function lzDecompress(src, size) {
+        var dst = new Uint8Array(size);
+        var n = src.length;
+        var ip = 0, op = 0;
+        var token, length, offset, b;
+
+        function truncated() {
+            return new JSBONError("TRUNCATED", "Truncated compressed data");
+        }
+        function invalid() {
+            return new JSBONError("INVALID_DATA", "Invalid compressed data at offset " + ip);
+        }
+
+        for (;;) {
+            if (ip >= n) {
+                throw truncated();
+            }
+            token = src[ip++];
+
+            // Literals
+            length = token >>> 4;
+            if (length === 15) {
+                do {
+                    if (ip >= n) {
+                        throw truncated();
+                    }
+                    b = src[ip++];
+                    length += b;
+                } while (b === 255);
+            }
+            if (op + length > size) {
+                throw invalid();
+            }
+            if (ip + length > n) {
+                throw truncated();
+            }
+            dst.set(src.subarray(ip, ip + length), op);
+            ip += length;
+            op += length;
+
+            if (op === size && (token & 0x0F) === 0 && ip === n) {
+                // Last sequence
+                return dst;
+            }
+
+            // Match
+            if (ip + 2 > n) {
+                throw truncated();
+            }
+            offset = (src[ip] << 8) | src[ip + 1];
+            ip += 2;
+            length = token & 0x0F;
+            if (length === 15) {
+                do {
+                    if (ip >= n) {
+                        throw truncated();
+                    }
+                    b = src[ip++];
+                    length += b;
+                } while (b === 255);
+            }
+            length += LZ_MIN_MATCH;
+            if (offset === 0 || offset > op || op + length > size) {
+                throw invalid();
+            }
+            // Byte by byte, as the match may overlap the output
+            for (; length > 0; length -= 1, op += 1) {
+                dst[op] = dst[op - offset];
+            }
+        }
+    }
+
+    /**
+     * Signature algorithms (HMAC), by identifier
+     */
+    var SIGNATURES = new Map([
+        [1, { id: 1, name: "HMAC-SHA256", hash: "sha256", webHash: "SHA-256", size: 32 }],
+        [2, { id: 2, name: "HMAC-SHA384", hash: "sha384", webHash: "SHA-384", size: 48 }],
+        [3, { id: 3, name: "HMAC-SHA512", hash: "sha512", webHash: "SHA-512", size: 64 }]
+    ]);
+    
+    /**
+     * Get the signature algorithm and key from the sign or verify option (the algorithm of the
+     * data being accepted when verifying without a given algorithm).
+     */
+    function getSignature(option, name) {
+        if (typeof option !== "object" || option.key === undefined || option.key === null) {
+            throw new JSBONError("INVALID_ARGUMENT", "Missing key for the " + name + " option");
+        }
+        if (option.alg === undefined && name === "verify") {
+            // Any algorithm, as found in the data
+            return { algorithm: undefined, key: option.key };
+        }
+        var alg = (option.alg === undefined) ? "HMAC-SHA256" : option.alg;
+        var algorithm = Array.from(SIGNATURES.values()).find(function(algorithm) { return algorithm.name === alg; });
+        if (algorithm === undefined) {
+            throw new JSBONError("INVALID_ARGUMENT", "Unsupported signature algorithm " + alg);
+        }
+        return { algorithm: algorithm, key: option.key };
+    }
+    
+    /**
+     * Get a key (or other data) as bytes, if given as a string (encoded in UTF-8) or binary data.
+     */
+    function getBytes(key) {
+        if (typeof key === "string") {
+            var s = encode_utf8(key);
+            return Uint8Array.from(s, function(c) { return c.charCodeAt(0); });
+        }
+        if (key instanceof ArrayBuffer) {
+            return new Uint8Array(key);
+        }
+        if (ArrayBuffer.isView(key)) {
+            return new Uint8Array(key.buffer, key.byteOffset, key.byteLength);
+        }
+        return key;
+    }
+    
+    /**
+     * Compute the HMAC of data, synchronously (with the Node crypto module).
+     *
+     * @return {Uint8Array} Signature
+     */
+    function sign(signature, data) {
+        if (!nodeCrypto) {
+            throw new JSBONError("INVALID_ARGUMENT", "Synchronous signatures require the Node crypto module, use the asynchronous variant");
+        }
+        return new Uint8Array(nodeCrypto.createHmac(signature.algorithm.hash, getBytes(signature.key)).update(data).digest());
+    }
+    
+    /**
+     * Compute the HMAC of data, with WebCrypto if available (or else the Node crypto module).
+     * The key may also be a CryptoKey.
+     *
+     * @return {Promise} Promise resolving to the signature (Uint8Array)
+     */
+    function signAsync(signature, data) {
+        var subtle = getSubtle();
+        if (subtle === undefined) {
+            return new Promise(function(resolve) { resolve(sign(signature, data)); });
+        }
+        
+        return importKey(subtle, signature.key, { name: "HMAC", hash: signature.algorithm.webHash }, "sign").then(function(key) {
+            return subtle.sign("HMAC", key, data);
+        }).then(function(mac) {
+            return new Uint8Array(mac);
+        });
+    }
+    
+    /**
+     * Compare two signatures, in constant time.
+     */
+    function equalSignatures(a, b) {
+        var diff = a.length ^ b.length;
+        for (var i = 0; i < a.length && i < b.length; i += 1) {
+            diff |= a[i] ^ b[i];
+        }
+        return diff === 0;
+    }
+    
+    /**
+     * Encryption (AES-GCM), with 96-bit nonces and 128-bit authentication tags
+     */
+    var NONCE_SIZE = 12;
+    var AUTH_TAG_SIZE = 16;
+    
+    /**
+     * Get the associated data authenticated with the encrypted data: the header, and the 
+     * additional data (if any).
+     */
+    function getAssociatedData(header, additionalData) {
+        return (additionalData === undefined) ? header : concatBytes(header, getBytes(additionalData));
+    }
+    
+    function concatBytes(a, b) {
+        var bytes = new Uint8Array(a.length + b.length);
+        bytes.set(a);
+        bytes.set(b, a.length);
+        return bytes;
+    }
+    
+    function randomBytes(size) {
+        if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+            return crypto.getRandomValues(new Uint8Array(size));
+        }
+        if (nodeCrypto) {
+            return new Uint8Array(nodeCrypto.randomBytes(size));
+        }
+        throw new JSBONError("INVALID_ARGUMENT", "No source of random numbers, a nonce is required");
+    }
+    
+    /**
+     * Get the key identifier, nonce, key and associated data from the encrypt option.
+     */
+    function getEncryption(option) {
+        if (typeof option !== "object" || option.key === undefined || option.key === null) {
+            throw new JSBONError("INVALID_ARGUMENT", "Missing key for the encrypt option");
+        }
+        var keyId = (option.keyId === undefined) ? 0 : option.keyId;
+        if (!Number.isInteger(keyId) || keyId < 0 || keyId > 0xFFFFFFFF) {
+            throw new JSBONError("INVALID_ARGUMENT", "Invalid key identifier " + keyId);
+        }
+        var nonce = (option.nonce === undefined) ? randomBytes(NONCE_SIZE) : getBytes(option.nonce);
+        if (!(nonce instanceof Uint8Array) || nonce.length !== NONCE_SIZE) {
+            throw new JSBONError("INVALID_ARGUMENT", "Invalid nonce, " + NONCE_SIZE + " bytes are required");
+        }
+        return { key: option.key, keyId: keyId, nonce: nonce, additionalData: option.additionalData };
+    }
+    
+    /**
+     * Get the cipher name of a key (given as binary data) for the Node crypto module.
+     */
+    function getCipher(key) {
+        if (!(key instanceof Uint8Array) || [16, 24, 32].indexOf(key.length) === -1) {
+            throw new JSBONError("INVALID_ARGUMENT", "Invalid key, 16, 24 or 32 bytes are required");
+        }
+        return "aes-" + (key.length * 8) + "-gcm";
+    }
+    
+    /**
+     * Get the WebCrypto subtle interface, if available.
+     */
+    function getSubtle() {
+        return (typeof crypto !== "undefined" && crypto.subtle) ? crypto.subtle : undefined;
+    }
+    
+    /**
+     * Import a key for WebCrypto, unless it is already a CryptoKey.
+     */
+    function importKey(subtle, key, algorithm, usage) {
+        if (typeof CryptoKey !== "undefined" && key instanceof CryptoKey) {
+            return Promise.resolve(key);
+        }
+        key = getBytes(key);
+        if (algorithm.name === "AES-GCM") {
+            getCipher(key);
+        }
+        return subtle.importKey("raw", key, algorithm, false, [usage]);
+    }
+    
+    /**
+     * Encrypt data, synchronously (with the Node crypto module).
+     *
+     * @return {Uint8Array} Encrypted data, followed by the authentication tag
+     */
+    function encrypt(key, nonce, aad, data) {
+        if (!nodeCrypto) {
+            throw new JSBONError("INVALID_ARGUMENT", "Synchronous encryption requires the Node crypto module, use the asynchronous variant");
+        }
+        key = getBytes(key);
+        var cipher = nodeCrypto.createCipheriv(getCipher(key), key, nonce, { authTagLength: AUTH_TAG_SIZE });
+        cipher.setAAD(aad);
+        var encrypted = [cipher.update(data), cipher.final(), cipher.getAuthTag()];
+        return new Uint8Array(Buffer.concat(encrypted));
+    }
+    
+    function encryptAsync(key, nonce, aad, data) {
+        var subtle = getSubtle();
+        if (subtle === undefined) {
+            return new Promise(function(resolve) { resolve(encrypt(key, nonce, aad, data)); });
+        }
+        
+        var algorithm = { name: "AES-GCM", iv: nonce, additionalData: aad, tagLength: AUTH_TAG_SIZE * 8 };
+        return importKey(subtle, key, { name: "AES-GCM" }, "encrypt").then(function(key) {
+            return subtle.encrypt(algorithm, key, data);
+        }).then(function(encrypted) {
+            return new Uint8Array(encrypted);
+        });
+    }
+    
+    /**
+     * Decrypt data, synchronously (with the Node crypto module).
+     *
+     * @return {Uint8Array} Decrypted data
+     * @throws {JSBONError} If the key is wrong, or the data or associated data were altered
+     */
+    function decrypt(key, nonce, aad, data) {
+        if (!nodeCrypto) {
+            throw new JSBONError("INVALID_ARGUMENT", "Synchronous decryption requires the Node crypto module, use the asynchronous variant");
+        }
+        if (data.length < AUTH_TAG_SIZE) {
+            throw new JSBONError("TRUNCATED", "Truncated data");
+        }
+        key = getBytes(key);
+        var decipher = nodeCrypto.createDecipheriv(getCipher(key), key, nonce, { authTagLength: AUTH_TAG_SIZE });
+        decipher.setAAD(aad);
+        decipher.setAuthTag(data.subarray(data.length - AUTH_TAG_SIZE));
+        try {
+            return new Uint8Array(Buffer.concat([decipher.update(data.subarray(0, data.length - AUTH_TAG_SIZE)), decipher.final()]));
+        } catch (e) {
+            throw new JSBONError("DECRYPTION_FAILED", "Decryption failed (wrong key or altered data)");
+        }
+    }
+    
+    function decryptAsync(key, nonce, aad, data) {
+        var subtle = getSubtle();
+        if (subtle === undefined) {
+            return new Promise(function(resolve) { resolve(decrypt(key, nonce, aad, data)); });
+        }
+        if (data.length < AUTH_TAG_SIZE) {
+            return Promise.reject(new JSBONError("TRUNCATED", "Truncated data"));
+        }
+        
+        var algorithm = { name: "AES-GCM", iv: nonce, additionalData: aad, tagLength: AUTH_TAG_SIZE * 8 };
+        return importKey(subtle, key, { name: "AES-GCM" }, "decrypt").then(function(key) {
+            return subtle.decrypt(algorithm, key, data).then(function(decrypted) {
+                return new Uint8Array(decrypted);
+            }, function() {
+                throw new JSBONError("DECRYPTION_FAILED", "Decryption failed (wrong key or altered data)");
+            });
+        });
+    }
     
     /**
      * Encoder.
@@ -92,9 +674,25 @@
         this.ds = new DataStream();
         this.ds.endianness = DataStream.BIG_ENDIAN;
         this.object_refs = new Map(); // Object map for object references
+        this.raw_buffers = new Map(); // Output stream and position of the contents of ArrayBuffers (by value)
+        this.shared_buffers = new Map(); // ArrayBuffers serialized as such, with the views on them referring to them
+        this.selected_properties = new Map(); // Properties of records already selected (with the replacer), when not encoded by columns
         this.string_keys = new Map(); // Map for key references (i.e. property names)
         this.string_refs = new Map(); // Map for all other string references
+        this.shapes = { children: new Map() }; // Tree of shapes (property name lists), with their index in the shape table (-1 if met once)
+        this.shape_table = []; // Shapes met more than once
         this.hasCycle = false; // Circular references exist: we don't know yet, so assume false until met.
+        this.flushed = 0; // Size of data already output (when streaming)
+        this.precision = undefined; // Lossy encoding of non-integer numbers ("float32" or number of decimal digits)
+        this.columnar = false; // Arrays of uniform records encoded column by column
+        this.compress = false; // Tables of strings and encoded value compressed
+        this.dictionary = undefined; // Shared dictionary of property names and strings
+        this.canonical = false; // Deterministic encoding
+        this.signature = undefined; // Signature algorithm and key
+        this.encryption = undefined; // Encryption key, key identifier, nonce and additional data
+        this.headerSize = 0; // Size of the first byte and extended options
+        this.checksum = undefined; // Checksum algorithm, for the whole data
+        this.version = MAJOR_VERSION; // Major version of the format to write
     };
 
     // - Data type tags
@@ -109,10 +707,13 @@
     Encoder.TAG_UNDEFINED      = 0x06;
     
     Encoder.TAG_OBJECT_REF     = 0x07;
-    /* 0x08 RESERVED */
-    /* May be use if tables of strings are leveraged */
+    Encoder.TAG_STRING_INLINE  = 0x08;
     
     Encoder.TAG_NUMBER         = 0x09;
+    Encoder.TAG_VARINT         = 0x0A;
+    Encoder.TAG_BIGINT         = 0x0B;
+    Encoder.TAG_FLOAT32        = 0x0C;
+    Encoder.TAG_DECIMAL        = 0x0D;
     
     Encoder.TAG_UINT8          = 0x12;
     Encoder.TAG_UINT16         = 0x13;
@@ -125,14 +726,163 @@
     Encoder.TAG_OBJECT         = 0x30;
     Encoder.TAG_ARRAY          = 0x31;
     Encoder.TAG_UINT8ARRAY     = 0x32;
-    /* 0x33, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39 RESERVED */
-    /* May be used if other binary arrays are implemented */
+    Encoder.TAG_INT8ARRAY      = 0x33;
+    Encoder.TAG_UINT8CLAMPEDARRAY = 0x34;
+    Encoder.TAG_INT16ARRAY     = 0x35;
+    Encoder.TAG_UINT16ARRAY    = 0x36;
+    Encoder.TAG_INT32ARRAY     = 0x37;
+    Encoder.TAG_UINT32ARRAY    = 0x38;
+    Encoder.TAG_FLOAT32ARRAY   = 0x39;
+    Encoder.TAG_FLOAT64ARRAY   = 0x3A;
+    Encoder.TAG_BIGINT64ARRAY  = 0x3B;
+    Encoder.TAG_BIGUINT64ARRAY = 0x3C;
+    Encoder.TAG_ARRAYBUFFER    = 0x3D;
+    Encoder.TAG_DATAVIEW       = 0x3E;
+    Encoder.TAG_TYPEDARRAY_VIEW = 0x3F;
+    
+    Encoder.TAG_MAP            = 0x40;
+    Encoder.TAG_SET            = 0x41;
+    Encoder.TAG_EXTENSION      = 0x42;
+    Encoder.TAG_EXTENSION_VALUE = 0x43;
+    Encoder.TAG_PACKED_ARRAY   = 0x44;
+    Encoder.TAG_SHAPED_OBJECT  = 0x45;
+    Encoder.TAG_COLUMNS        = 0x46;
             
     // - Option flags
     Encoder.OPTION_CRC32       = 0x80;
     Encoder.OPTION_NOCYCLE     = 0x40;
+    Encoder.OPTION_INLINE      = 0x20;
+    Encoder.OPTION_EXTENDED    = 0x10;
+    
+    // - Extended option flags
+    Encoder.EXT_SEQUENCE       = 0x01;
+    Encoder.EXT_FLOAT32        = 0x02;
+    Encoder.EXT_DECIMALS       = 0x04;
+    Encoder.EXT_SHAPES         = 0x08;
+    Encoder.EXT_COMPRESSED     = 0x10;
+    Encoder.EXT_DICTIONARY     = 0x20;
+    Encoder.EXT_SIGNED         = 0x40;
+    Encoder.EXT_ENCRYPTED      = 0x80;
+    Encoder.EXT_CHECKSUM       = 0x100;
+    
+    // - Checksum algorithms of the whole data, by identifier
+    Encoder.CHECKSUMS = CHECKSUMS;
+    
+    // Maximal number of properties of objects sharing their shape
+    var MAX_SHAPE_SIZE = 64;
+    
+    // Tags known to version 1 decoders, and encoding options needing version 2
+    var VERSION_1_TAGS = new Set([
+        Encoder.TAG_BOOLEAN_FALSE, Encoder.TAG_BOOLEAN_TRUE, Encoder.TAG_INT8, Encoder.TAG_INT16, Encoder.TAG_INT32,
+        Encoder.TAG_NULL, Encoder.TAG_UNDEFINED, Encoder.TAG_OBJECT_REF, Encoder.TAG_NUMBER,
+        Encoder.TAG_UINT8, Encoder.TAG_UINT16, Encoder.TAG_UINT32, Encoder.TAG_STRING_REF, Encoder.TAG_DATE,
+        Encoder.TAG_OBJECT, Encoder.TAG_ARRAY, Encoder.TAG_UINT8ARRAY
+    ]);
+    var VERSION_2_OPTIONS = ["precision", "columnar", "dictionary", "compress", "sign", "encrypt", "checksum"];
+
+    // Typed array classes by tag (the BigInt ones are not available in older environments)
+    var TYPED_ARRAYS = new Map([
+        [Encoder.TAG_UINT8ARRAY, Uint8Array],
+        [Encoder.TAG_INT8ARRAY, Int8Array],
+        [Encoder.TAG_UINT8CLAMPEDARRAY, Uint8ClampedArray],
+        [Encoder.TAG_INT16ARRAY, Int16Array],
+        [Encoder.TAG_UINT16ARRAY, Uint16Array],
+        [Encoder.TAG_INT32ARRAY, Int32Array],
+        [Encoder.TAG_UINT32ARRAY, Uint32Array],
+        [Encoder.TAG_FLOAT32ARRAY, Float32Array],
+        [Encoder.TAG_FLOAT64ARRAY, Float64Array]
+    ]);
+    if (typeof BigInt64Array !== "undefined") {
+        TYPED_ARRAYS.set(Encoder.TAG_BIGINT64ARRAY, BigInt64Array);
+        TYPED_ARRAYS.set(Encoder.TAG_BIGUINT64ARRAY, BigUint64Array);
+    }
+    
+    /**
+     * Swap the byte order of the elements of a typed array on a shared ArrayBuffer, given the
+     * contents of the latter. Marks record the elements already swapped (their size on their
+     * first byte, with the high bit set on the other bytes), so that views on the same elements
+     * swap them once.
+     *
+     * @return {boolean} False if overlapping elements of another size or position were swapped
+     */
+    function swapElements(bytes, marks, offset, length, size) {
+        var i, j, swap, end = offset + length * size;
+        
+        for (i = offset; i < end; i += size) {
+            for (j = i; marks[i] !== size && j < i + size; j += 1) {
+                if (marks[j] !== 0) {
+                    return false;
+                }
+            }
+        }
+        for (i = offset; i < end; i += size) {
+            if (marks[i] !== size) {
+                marks.fill(size | 0x80, i, i + size);
+                marks[i] = size;
+                for (j = 0; j < size / 2; j += 1) {
+                    swap = bytes[i + j];
+                    bytes[i + j] = bytes[i + size - 1 - j];
+                    bytes[i + size - 1 - j] = swap;
+                }
+            }
+        }
+        return true;
+    }
 
-    function getNumberTag(value) {
+    /**
+     * Registry of extension types (i.e. class instances), by identifier and by prototype
+     */
+    var extension_types = {
+        byId: new Map(),
+        byPrototype: new Map()
+    };
+    
+    /**
+     * Register a class, so that its instances are restored with their prototype.
+     * The optional encode(instance) and decode(value) functions allow customizing what is
+     * serialized. By default, the own enumerable properties of instances are.
+     *
+     * @param {number|string} id Class identifier (unsigned integer or name)
+     * @param {function} Class Constructor
+     * @param {Object} options Optional encode and decode functions
+     */
+    function registerType(id, Class, options) {
+        if (!((typeof id === "number" && (id >>> 0) === id) || (typeof id === "string" && id !== ""))) {
+            throw new JSBONError("INVALID_ARGUMENT", "Invalid extension type identifier " + id);
+        }
+        if (typeof Class !== "function" || typeof Class.prototype !== "object") {
+            throw new JSBONError("INVALID_ARGUMENT", "Invalid extension type class");
+        }
+        if (extension_types.byId.has(id) || extension_types.byPrototype.has(Class.prototype)) {
+            throw new JSBONError("INVALID_ARGUMENT", "Extension type already registered " + id);
+        }
+        
+        var type = { id: id, Class: Class };
+        if (options && (options.encode || options.decode)) {
+            if (typeof options.encode !== "function" || typeof options.decode !== "function") {
+                throw new JSBONError("INVALID_ARGUMENT", "Extension type requires both encode and decode functions");
+            }
+            type.encode = options.encode;
+            type.decode = options.decode;
+        }
+        
+        extension_types.byId.set(id, type);
+        extension_types.byPrototype.set(Class.prototype, type);
+    }
+    
+    function getBinaryTag(view) {
+        if (view instanceof DataView) {
+            return Encoder.TAG_DATAVIEW;
+        }
+        for (var [tag, TypedArray] of TYPED_ARRAYS) {
+            if (view instanceof TypedArray) {
+                return tag;
+            }
+        }
+        // Unsupported
+    }
+    
+    function getNumberTag(value, precision) {
         if (value === (value >>> 0)) {
             // Unsigned integer 32-bit
             if ((value & 0xFF) === value) {
@@ -155,40 +905,189 @@
             }
         }
         
+        if (Number.isSafeInteger(value)) {
+            // Larger integer (up to 53-bit)
+            return Encoder.TAG_VARINT;
+        }
+        
+        if (precision !== undefined && isFinite(value) && !Number.isInteger(value)) {
+            // Lossy encoding, when requested
+            if (precision === "float32") {
+                return Encoder.TAG_FLOAT32;
+            } else if (Math.abs(value) * Math.pow(10, precision) <= Number.MAX_SAFE_INTEGER) {
+                return Encoder.TAG_DECIMAL;
+            }
+        }
+        
         return Encoder.TAG_NUMBER;
     }
     
-    function getValueTag(obj) {
-        if (obj === undefined) {
-            return Encoder.TAG_UNDEFINED;
-        } else if (obj === null) {
+    // Size of numbers by tag (at most for varints)
+    var NUMBER_SIZES = new Map([
+        [Encoder.TAG_INT8, 1], [Encoder.TAG_INT16, 2], [Encoder.TAG_INT32, 4],
+        [Encoder.TAG_UINT8, 1], [Encoder.TAG_UINT16, 2], [Encoder.TAG_UINT32, 4],
+        [Encoder.TAG_VARINT, 8], [Encoder.TAG_NUMBER, 8], [Encoder.TAG_FLOAT32, 4], [Encoder.TAG_DECIMAL, 8]
+    ]);
+    
+    /**
+     * Get the typed array tag for packing an array of numbers, or undefined if the array
+     * does not only hold numbers, or if packing it is not smaller. The narrowest type holding
+     * all elements without loss (other than the requested lossy encoding) is used.
+     */
+    function getPackedTag(array, precision, always) {
+        var size = 0, min = 0, max = 0, isInt = true, isFloat32 = true;
+        var i, v, tag;
+        
+        if (array.length < 2) {
+            return;
+        }
+        for (i = 0; i < array.length; i += 1) {
+            v = array[i];
+            if (typeof v !== "number") {
+                return;
+            }
+            tag = getNumberTag(v, precision);
+            size += 1 + NUMBER_SIZES.get(tag);
+            if (tag === Encoder.TAG_DECIMAL) {
+                // Not packed, as the scaled values would rarely fit in 32 bits
+                return;
+            } else if (tag === Encoder.TAG_VARINT || tag === Encoder.TAG_NUMBER || tag === Encoder.TAG_FLOAT32) {
+                isInt = false;
+            } else {
+                min = Math.min(min, v);
+                max = Math.max(max, v);
+            }
+            if (isFloat32 && tag !== Encoder.TAG_FLOAT32 && Math.fround(v) !== v) {
+                isFloat32 = false;
+            }
+        }
+        
+        if (isInt && min >= 0) {
+            tag = (max <= 0xFF) ? Encoder.TAG_UINT8ARRAY : (max <= 0xFFFF) ? Encoder.TAG_UINT16ARRAY : Encoder.TAG_UINT32ARRAY;
+        } else if (isInt && max <= 0x7FFFFFFF) {
+            tag = (min >= -128 && max <= 127) ? Encoder.TAG_INT8ARRAY : (min >= -32768 && max <= 32767) ? Encoder.TAG_INT16ARRAY : Encoder.TAG_INT32ARRAY;
+        } else {
+            tag = isFloat32 ? Encoder.TAG_FLOAT32ARRAY : Encoder.TAG_FLOAT64ARRAY;
+        }
+        
+        if (always || 1 + array.length * TYPED_ARRAYS.get(tag).BYTES_PER_ELEMENT <= size) {
+            return tag;
+        }
+    }
+    
+    /**
+     * Round a non-integer number as done by lossy encoding, so that the smallest tag may be
+     * chosen for the result (e.g. 1.999 is encoded as 2 with 2 decimal digits).
+     */
+    function reduceNumber(value, precision) {
+        if (precision === undefined || !isFinite(value) || Number.isInteger(value)) {
+            return value;
+        }
+        if (precision === "float32") {
+            return Math.fround(value);
+        }
+        var scale = Math.pow(10, precision);
+        return (Math.abs(value) * scale <= Number.MAX_SAFE_INTEGER) ? Math.round(value * scale) / scale : value;
+    }
+    
+    /**
+     * Get the result of the toJSON method of an object serialized as such (e.g. not of a Date).
+     */
+    function applyToJSON(value, key) {
+        if (value !== null && typeof value === "object" && typeof value.toJSON === "function" 
+            && getValueTag(value) === Encoder.TAG_OBJECT) {
+            return value.toJSON(key);
+        }
+        return value;
+    }
+    
+    /**
+     * Get the members of a container to serialize (its properties, elements or entries), with 
+     * the keys to serialize before them (if any) and their paths in errors (by default, their index).
+     */
+    function getMembers(values, keys, paths) {
+        return { values: values, keys: keys, paths: paths, index: 0 };
+    }
+    
+    function isPrimitive(value) {
+        return value === null || (typeof value !== "object" && typeof value !== "function" && typeof value !== "symbol");
+    }
+    
+    // Canonical order of the types of primitive values (null being an object, and undefined
+    // always last, as sorted by Array.prototype.sort)
+    var PRIMITIVE_TYPES = ["object", "boolean", "number", "bigint", "string", "undefined"];
+    
+    /**
+     * Compare primitive values by type, then by value (NaN first among numbers).
+     */
+    function comparePrimitives(a, b) {
+        var order = PRIMITIVE_TYPES.indexOf(typeof a) - PRIMITIVE_TYPES.indexOf(typeof b);
+        if (order !== 0) {
+            return order;
+        } else if (a !== a || b !== b) {
+            return (b !== b) - (a !== a);
+        }
+        return (a < b) ? -1 : (a > b) ? 1 : 0;
+    }
+    
+    function getValueTag(obj, precision) {
+        if (obj === undefined) {
+            return Encoder.TAG_UNDEFINED;
+        } else if (obj === null) {
             return Encoder.TAG_NULL;
+        } else if (typeof obj === "object" && extension_types.byPrototype.has(Object.getPrototypeOf(obj))) {
+            return Encoder.TAG_EXTENSION;
         } else if (obj instanceof Array) {
             return Encoder.TAG_ARRAY;
         } else if (obj instanceof Date) {
             return Encoder.TAG_DATE;
-        } else if (obj instanceof Uint8Array) {
-            return Encoder.TAG_UINT8ARRAY;
+        } else if (ArrayBuffer.isView(obj)) {
+            return getBinaryTag(obj);
+        } else if (obj instanceof ArrayBuffer) {
+            return Encoder.TAG_ARRAYBUFFER;
+        } else if (obj instanceof Map) {
+            return Encoder.TAG_MAP;
+        } else if (obj instanceof Set) {
+            return Encoder.TAG_SET;
         } else if (typeof obj === "object") {
             return Encoder.TAG_OBJECT;
         } else if (typeof obj === "number") {
-            return getNumberTag(obj);
+            return getNumberTag(obj, precision);
         } else if (typeof obj === "string") {
             return Encoder.TAG_STRING_REF;
         } else if (typeof obj === "boolean") {
             return (obj ? Encoder.TAG_BOOLEAN_TRUE : Encoder.TAG_BOOLEAN_FALSE);
-        } else {
-            throw new Error("Unsupported type (as of yet)")
+        } else if (typeof obj === "bigint") {
+            return Encoder.TAG_BIGINT;
         }
+        // Unsupported type (as of yet)
     }
     
+    /**
+     * Create an error at the current position in the encoded value.
+     */
+    Encoder.prototype.error = function(code, reason) {
+        return new JSBONError(code, reason, this.flushed + this.ds.position);
+    };
+    
+    /**
+     * Add the key of a containing value to the path of an error. Other errors (e.g. from a
+     * replacer or a toJSON method) are left untouched.
+     */
+    Encoder.prototype.wrapError = function(e, key) {
+        if (e instanceof JSBONError) {
+            e.addPath(key);
+        }
+        return e;
+    };
+    
     /**
      * Serialize a positive counter value (e.g. size,  number of items)
      */
     Encoder.prototype.serializeCount = function(value) {
         if ((value >>> 0) !== value) {
             // Shall be an unsiged integer
-            throw new Error("Invalid count value " + value);
+            throw this.error("INVALID_ARGUMENT", "Invalid count value " + value);
         }
         
         // Write varint (bit 8 of all bytes is 'continue' flag)
@@ -201,6 +1100,38 @@
         this.ds.writeUint8(value);
     }
     
+    /**
+     * Serialize a safe integer as a zig-zag varint (i.e. with the sign in bit 1 of the first byte).
+     * Computations are done so as to never exceed 53-bit precision.
+     */
+    Encoder.prototype.serializeVarint = function(value) {
+        var sign = (value < 0) ? 1 : 0;
+        var q = Math.abs(value) - sign; // So that the zig-zag value is 2 * q + sign
+        
+        var b = ((q % 64) * 2) + sign;
+        q = Math.floor(q / 64);
+        while (q > 0) {
+            this.ds.writeUint8(b | 0x80);
+            b = q % 128;
+            q = Math.floor(q / 128);
+        }
+        this.ds.writeUint8(b);
+    }
+    
+    /**
+     * Serialize a BigInt of arbitrary size as a zig-zag varint.
+     */
+    Encoder.prototype.serializeBigInt = function(value) {
+        var zero = BigInt(0), mask = BigInt(0x7F), seven = BigInt(7);
+        var z = (value < zero) ? ((-value) << BigInt(1)) - BigInt(1) : value << BigInt(1);
+        
+        while (z > mask) {
+            this.ds.writeUint8(Number(z & mask) | 0x80);
+            z >>= seven;
+        }
+        this.ds.writeUint8(Number(z));
+    }
+    
     Encoder.prototype.serializeNumber = function(value, tag) {      
         if (tag === Encoder.TAG_INT8) {
             this.ds.writeInt8(value)
@@ -214,12 +1145,18 @@
             this.ds.writeUint16(value)        
         } else if (tag === Encoder.TAG_UINT32) {
             this.ds.writeUint32(value)
+        } else if (tag === Encoder.TAG_VARINT) {
+            this.serializeVarint(value);
+        } else if (tag === Encoder.TAG_FLOAT32) {
+            this.ds.writeFloat32(value);
+        } else if (tag === Encoder.TAG_DECIMAL) {
+            this.serializeVarint(Math.round(value * Math.pow(10, this.precision)));
         } else {
             this.ds.writeFloat64(value);        
         }
     }
     
-    Encoder.prototype.serializeString = function(string) {
+    Encoder.prototype.getStringIndex = function(string) {
         var index;
         if (string === "") {
             index = 0;
@@ -229,80 +1166,537 @@
                 index = this.string_refs.size + 1;
                 this.string_refs.set(string, index);
             }
-       }
-       
-       this.serializeCount(index);
+        }
+        return index;
+    };
+    
+    Encoder.prototype.serializeString = function(string) {
+       this.serializeCount(this.getStringIndex(string));
+    };
+    
+    /**
+     * Serialize a string, defining it inline at first use (when not using tables of strings)
+     */
+    Encoder.prototype.serializeInlineString = function(string) {
+        if (string !== "" && !this.string_refs.has(string)) {
+            this.string_refs.set(string, this.string_refs.size + 1);
+            this.ds.writeUint8(Encoder.TAG_STRING_INLINE);
+            this.ds.writeCString(encode_utf8(string));
+        } else {
+            this.ds.writeUint8(Encoder.TAG_STRING_REF);
+            this.serializeString(string);
+        }
+    };
+    
+    /**
+     * Serialize a property name, as an index in the table of property names. When not 
+     * using tables of strings, index 0 defines a new name inline and indices start at 1.
+     */
+    Encoder.prototype.serializeKey = function(key) {
+        var index = this.string_keys.get(key);
+        if (index === undefined) {
+            // Name not yet know, register it in reference map
+            index = this.string_keys.size;
+            this.string_keys.set(key, index);
+            
+            if (this.inline) {
+                this.serializeCount(0);
+                this.ds.writeCString(encode_utf8(key));
+                return;
+            }
+        }
+        
+        this.serializeCount(this.inline ? index + 1 : index);
     };
     
     Encoder.prototype.serializeDate = function(date) {
          this.ds.writeFloat64(date);
     }
     
-    Encoder.prototype.serializeObject = function(obj) {
+    /**
+     * Serialize an object by reference, if it was already met.
+     * Otherwise, keep its reference index (for cyclic references or mere object copy)
+     * and return false, so that the caller serializes it by value.
+     */
+    Encoder.prototype.serializeObjectRef = function(obj) {
         var refindex = this.object_refs.get(obj);
         
-        if (refindex === undefined) { 
-            // Object by value
+        if (refindex === undefined) {
+            this.object_refs.set(obj, this.flushed + this.ds.position);
+            return false;
+        }
+        
+        this.ds.writeUint8(Encoder.TAG_OBJECT_REF);
+        this.serializeCount(refindex);
+        this.hasCycle = true;
+        return true;
+    }
+    
+    /**
+     * Get the own enumerable property names of an object, sorted in canonical mode.
+     */
+    Encoder.prototype.getKeys = function(obj) {
+        var keys = Object.keys(obj);
+        if (this.propertyList) {
+            // As in JSON, the listed properties only, in the order of the list
+            var own = new Set(keys);
+            keys = Array.from(this.propertyList).filter(function(key) { return own.has(key); });
+        }
+        return this.canonical ? keys.sort() : keys;
+    }
+    
+    /**
+     * Sort the keys of a Map or the values of a Set in canonical mode. Only primitive values
+     * have an order of their own, so that others cannot be encoded canonically.
+     */
+    Encoder.prototype.sortValues = function(values, name) {
+        if (!this.canonical) {
+            return values;
+        }
+        if (values.length > 1 && !values.every(isPrimitive)) {
+            throw this.error("UNSUPPORTED_TYPE", name + " which are not all primitive values cannot be sorted in canonical mode");
+        }
+        return values.sort(comparePrimitives);
+    }
+    
+    /**
+     * Get the given values with numbers rounded as by lossy encoding, in canonical mode.
+     */
+    Encoder.prototype.reduceNumbers = function(values) {
+        if (!this.canonical || this.precision === undefined) {
+            return values;
+        }
+        var precision = this.precision;
+        return Array.from(values, function(value) {
+            return (typeof value === "number") ? reduceNumber(value, precision) : value;
+        });
+    }
+    
+    /**
+     * Get the value to serialize for a property or an element, as with JSON.stringify: the 
+     * result of the toJSON method of objects (called with the key), passed to the replacer.
+     */
+    Encoder.prototype.replaceValue = function(holder, key, value) {
+        value = applyToJSON(value, key);
+        return this.replacer ? this.replacer.call(holder, key, value) : value;
+    }
+    
+    /**
+     * Select the properties to serialize, honoring the replacer if any.
+     */
+    Encoder.prototype.selectProperties = function(obj) {
+        var all = this.getKeys(obj), keys = [], values = [];
+        var i, k, v;
+        for (i = 0; i < all.length; i += 1) {
+            k = all[i];
+            v = this.replaceValue(obj, k, obj[k]);
+            if (this.replacer && v === undefined) {
+                // As in JSON, the replacer removes properties by returning undefined
+                continue;
+            }
+            if (typeof v !== "function") {
+                keys.push(k);
+                values.push(v);
+            }
+        }
+        
+        return { keys: keys, values: values };
+    }
+    
+    /**
+     * Serialize the number of properties of an object, and get them as members.
+     */
+    Encoder.prototype.serializeProperties = function(obj) {
+        var properties = this.selectProperties(obj);
+        
+        // Serialize number of properties
+        this.serializeCount(properties.keys.length);
+        
+        return getMembers(properties.values, properties.keys, properties.keys);
+    }
+    
+    /**
+     * Serialize a shaped object tag and its shape (i.e. its list of property names), if the 
+     * latter was already met. Return true if done, so that only the values have to follow.
+     * Shapes are unknown to version 1 decoders.
+     */
+    Encoder.prototype.serializeShape = function(keys) {
+        if (this.version < 2 || keys.length === 0 || keys.length > MAX_SHAPE_SIZE) {
+            return false;
+        }
+        
+        var node = this.shapes, child;
+        for (var i = 0; i < keys.length; i += 1) {
+            child = node.children.get(keys[i]);
+            if (child === undefined) {
+                child = { children: new Map() };
+                node.children.set(keys[i], child);
+            }
+            node = child;
+        }
+        
+        var index = node.index;
+        if (index === undefined) {
+            // First met: object serialized as usual
+            node.index = -1;
+            return false;
+        }
+        
+        this.ds.writeUint8(Encoder.TAG_SHAPED_OBJECT);
+        if (index === -1) {
+            // Met again: register it in the shape table
+            index = this.shape_table.length;
+            this.shape_table.push(keys);
+            node.index = index;
             
-            // Keep reference index for cyclic references or mere object copy
-            this.object_refs.set(obj, this.ds.position);
+            if (this.inline) {
+                this.serializeCount(0);
+                this.serializeCount(keys.length);
+                keys.forEach(function(key) { this.serializeKey(key); }, this);
+                return true;
+            }
+        }
+        
+        this.serializeCount(this.inline ? index + 1 : index);
+        return true;
+    }
+    
+    Encoder.prototype.serializeObject = function(obj) {
+        if (!this.serializeObjectRef(obj)) { 
+            var properties = this.selected_properties.get(obj) || this.selectProperties(obj);
+            this.selected_properties.delete(obj);
+            if (this.serializeShape(properties.keys)) {
+                // Object by value, with a known shape
+                return getMembers(properties.values, undefined, properties.keys);
+            }
             
+            // Object by value
             this.ds.writeUint8(Encoder.TAG_OBJECT);
+            this.serializeCount(properties.keys.length);
+            return getMembers(properties.values, properties.keys, properties.keys);
+        }
+    }
+    
+    Encoder.prototype.serializeExtension = function(obj) {
+        if (!this.serializeObjectRef(obj)) {
+            // Instance by value
+            var type = extension_types.byPrototype.get(Object.getPrototypeOf(obj));
             
-            // If object has a toJSON method, honor it
-            if ((obj.toJSON !== undefined) && (typeof obj.toJSON === "function")) {
-                obj = obj.toJSON();
+            if (type.encode) {
+                this.ds.writeUint8(Encoder.TAG_EXTENSION_VALUE);
+                this.serializeComponent(type.id);
+                return getMembers([type.encode(obj)], undefined, [undefined]);
             }
-
-            // Serialize number of properties
-            var keys = Object.keys(obj).filter(function(k) { return (typeof this[k] !== "function"); }, obj);
-            this.serializeCount(keys.length);
             
-            // Serialize each property
-            var i, k, index;
-            for (i = 0; i < keys.length; i += 1) {
-                k = keys[i];
-                index = this.string_keys.get(k);
-                if (index === undefined) {
-                    // Name not yet know, register it in reference map
-                    index = this.string_keys.size;
-                    this.string_keys.set(k, index);
-                }
-                
-                this.serializeCount(index);
-                this.serializeComponent(obj[k]);
-            };
-        } else {
-            // Object by reference
-            this.ds.writeUint8(Encoder.TAG_OBJECT_REF);
-            this.serializeCount(refindex);
-            this.hasCycle = true;
+            this.ds.writeUint8(Encoder.TAG_EXTENSION);
+            this.serializeComponent(type.id);
+            return this.serializeProperties(obj);
         }
     }
     
     Encoder.prototype.serializeArray = function(array) {
-        var refindex = this.object_refs.get(array);
-        
-        if (refindex === undefined) {
-            // Array by value
-
-            // Keep reference index for cyclic references or mere object copy
-            this.object_refs.set(array, this.ds.position);
+        if (!this.serializeObjectRef(array)) {
+            var values = new Array(array.length);
+            for (let i = 0; i < array.length; i += 1) {
+                values[i] = this.replaceValue(array, String(i), array[i]);
+            }
+            
+            var columns = this.columnar ? this.selectColumns(values) : undefined;
+            if (columns !== undefined) {
+                this.serializeColumns(values, columns);
+                return;
+            }
+            
+            values = this.reduceNumbers(values);
+            // Packed arrays are unknown to version 1 decoders
+            var tag = (this.version >= 2) ? getPackedTag(values, this.precision) : undefined;
+            if (tag !== undefined) {
+                // Array of numbers, packed
+                this.ds.writeUint8(Encoder.TAG_PACKED_ARRAY);
+                this.ds.writeUint8(tag);
+                this.serializeCount(values.length);
+                this.serializeTypedArray(TYPED_ARRAYS.get(tag).from(values), tag);
+                return;
+            }
             
+            // Array by value
             this.ds.writeUint8(Encoder.TAG_ARRAY);
-            this.serializeCount(array.length);
-                            
-            for (let i = 0; i < array.length; i += 1) {
-                this.serializeComponent(array[i]);
+            this.serializeCount(values.length);
+            return getMembers(values);
+        }
+    }
+    
+    /**
+     * Get the property names and the columns of values of an array of plain objects sharing 
+     * the same properties, with primitive values only, or undefined if the array does not qualify.
+     */
+    Encoder.prototype.selectColumns = function(rows) {
+        var i, j, row, proto, names, first, properties, keys, columns;
+        
+        if (rows.length < 2) {
+            return;
+        }
+        
+        // Check the rows first, so that the replacer (if any) is mostly called for qualifying arrays
+        var seen = new Set();
+        for (i = 0; i < rows.length; i += 1) {
+            row = rows[i];
+            if (row === null || typeof row !== "object" || seen.has(row) || this.object_refs.has(row)) {
+                return;
+            }
+            proto = Object.getPrototypeOf(row);
+            if ((proto !== Object.prototype && proto !== null) || typeof row.toJSON === "function") {
+                return;
+            }
+            names = this.getKeys(row);
+            if (i === 0) {
+                first = names;
+            } else if (names.length !== first.length || names.some(function(name, j) { return name !== first[j]; })) {
+                return;
+            }
+            if (!names.every(function(name) { return isPrimitive(row[name]) || typeof row[name] === "function"; })) {
+                return;
+            }
+            seen.add(row);
+        }
+        
+        // Properties selected so far are kept if the array does not qualify, so that the
+        // replacer is not called again for them
+        for (i = 0; i < rows.length; i += 1) {
+            properties = this.selectProperties(rows[i]);
+            this.selected_properties.set(rows[i], properties);
+            if (i === 0) {
+                keys = properties.keys;
+                if (keys.length === 0) {
+                    return;
+                }
+                columns = keys.map(function() { return new Array(rows.length); });
+            } else if (properties.keys.length !== keys.length || properties.keys.some(function(key, j) { return key !== keys[j]; })) {
+                return;
+            }
+            for (j = 0; j < keys.length; j += 1) {
+                if (!isPrimitive(properties.values[j])) {
+                    return;
+                }
+                columns[j][i] = properties.values[j];
+            }
+        }
+        
+        rows.forEach(function(row) { this.selected_properties.delete(row); }, this);
+        return { keys: keys, columns: columns };
+    }
+    
+    /**
+     * Serialize an array of records column by column. Each record gets a distinct position
+     * within the encoded array, so that it may be referred to.
+     */
+    Encoder.prototype.serializeColumns = function(rows, columns) {
+        var position = this.flushed + this.ds.position;
+        var i;
+        
+        this.ds.writeUint8(Encoder.TAG_COLUMNS);
+        this.serializeCount(rows.length);
+        this.serializeCount(columns.keys.length);
+        for (i = 0; i < columns.keys.length; i += 1) {
+            this.serializeKey(columns.keys[i]);
+        }
+        for (i = 0; i < columns.keys.length; i += 1) {
+            try {
+                this.serializeColumn(columns.columns[i]);
+            } catch (e) {
+                throw this.wrapError(e, columns.keys[i]);
+            }
+        }
+        
+        for (i = 0; i < rows.length; i += 1) {
+            this.object_refs.set(rows[i], position + 1 + i);
+        }
+    }
+    
+    Encoder.prototype.serializeColumn = function(values) {
+        values = this.reduceNumbers(values);
+        var tag = getPackedTag(values, this.precision, true), i;
+        
+        if (tag !== undefined) {
+            // Numbers, packed
+            this.ds.writeUint8(tag);
+            this.serializeTypedArray(TYPED_ARRAYS.get(tag).from(values), tag);
+        } else if (!this.inline && values.every(function(value) { return typeof value === "string"; })) {
+            // Strings, as packed indices in the string TOS
+            var indices = values.map(this.getStringIndex, this);
+            tag = getPackedTag(indices, undefined, true);
+            this.ds.writeUint8(Encoder.TAG_STRING_REF);
+            this.ds.writeUint8(tag);
+            this.serializeTypedArray(TYPED_ARRAYS.get(tag).from(indices), tag);
+        } else {
+            // Other values, one after the other
+            this.ds.writeUint8(Encoder.TAG_ARRAY);
+            for (i = 0; i < values.length; i += 1) {
+                this.serializeComponent(values[i]);
+            }
+        }
+    }
+    
+    Encoder.prototype.serializeMap = function(map) {
+        if (!this.serializeObjectRef(map)) {
+            // Map by value
+            this.ds.writeUint8(Encoder.TAG_MAP);
+            this.serializeCount(map.size);
+            
+            // Keys and values one after the other, with the index of the entry as path
+            var values = [], paths = [];
+            this.sortValues(Array.from(map.keys()), "Map keys").forEach(function(key, i) {
+                values.push(applyToJSON(key, String(i)), applyToJSON(map.get(key), String(i)));
+                paths.push(i, i);
+            });
+            return getMembers(values, undefined, paths);
+        }
+    }
+    
+    Encoder.prototype.serializeSet = function(set) {
+        if (!this.serializeObjectRef(set)) {
+            // Set by value
+            this.ds.writeUint8(Encoder.TAG_SET);
+            this.serializeCount(set.size);
+            
+            return getMembers(this.sortValues(Array.from(set), "Set values").map(function(value, i) {
+                return applyToJSON(value, String(i));
+            }));
+        }
+    }
+    
+    /**
+     * Serialize the elements of a typed array, in big endian order.
+     */
+    Encoder.prototype.serializeTypedArray = function(array, tag) {
+        var i;
+        
+        switch (tag) {
+            case Encoder.TAG_UINT8ARRAY:
+            case Encoder.TAG_UINT8CLAMPEDARRAY:
+                this.ds.writeUint8Array(array);
+                break;
+            case Encoder.TAG_INT8ARRAY:
+                this.ds.writeInt8Array(array);
+                break;
+            case Encoder.TAG_INT16ARRAY:
+                this.ds.writeInt16Array(array, DataStream.BIG_ENDIAN);
+                break;
+            case Encoder.TAG_UINT16ARRAY:
+                this.ds.writeUint16Array(array, DataStream.BIG_ENDIAN);
+                break;
+            case Encoder.TAG_INT32ARRAY:
+                this.ds.writeInt32Array(array, DataStream.BIG_ENDIAN);
+                break;
+            case Encoder.TAG_UINT32ARRAY:
+                this.ds.writeUint32Array(array, DataStream.BIG_ENDIAN);
+                break;
+            case Encoder.TAG_FLOAT32ARRAY:
+                this.ds.writeFloat32Array(array, DataStream.BIG_ENDIAN);
+                break;
+            case Encoder.TAG_FLOAT64ARRAY:
+                this.ds.writeFloat64Array(array, DataStream.BIG_ENDIAN);
+                break;
+            case Encoder.TAG_BIGINT64ARRAY:
+            case Encoder.TAG_BIGUINT64ARRAY:
+                // No 64-bit support in DataStream: write high and low 32-bit words
+                var words = new Uint32Array(array.buffer, array.byteOffset, array.length * 2);
+                var lo = (DataStream.endianness === DataStream.LITTLE_ENDIAN) ? 0 : 1;
+                for (i = 0; i < words.length; i += 2) {
+                    this.ds.writeUint32(words[i + 1 - lo]);
+                    this.ds.writeUint32(words[i + lo]);
+                }
+                break;
+            default:
+                throw this.error("BAD_TAG", "Unexpected tag for typed array " + tag);
+        }
+    }
+    
+    /**
+     * Serialize an ArrayBuffer, a DataView or a typed array.
+     * A view on a buffer which is not shared (or not known to be) is serialized by value: a typed 
+     * array standalone, with its elements in big endian order, and a DataView on a copy of its 
+     * bytes. Otherwise, the shared buffer is serialized first, so that the views are restored on 
+     * a same ArrayBuffer.
+     */
+    Encoder.prototype.serializeBinary = function(obj, tag) {
+        if (this.version < 2) {
+            // Only Uint8Arrays, by value
+            this.ds.writeUint8(tag);
+            this.serializeCount(obj.length);
+            this.serializeTypedArray(obj, tag);
+            return;
+        }
+        if (this.serializeObjectRef(obj)) {
+            return;
+        }
+        
+        var views = this.shared_buffers.get(obj.buffer);
+        var shared = views !== undefined && views.has(obj);
+        
+        if (tag === Encoder.TAG_ARRAYBUFFER) {
+            this.ds.writeUint8(tag);
+            this.serializeCount(obj.byteLength);
+            this.raw_buffers.set(obj, { ds: this.ds, position: this.ds.position, marks: undefined });
+            this.ds.writeUint8Array(new Uint8Array(obj));
+            if (!this.replacer) {
+                // All the views on it are known: their elements are put in big endian order at 
+                // once, so that its contents may be output (when streaming)
+                (this.shared_buffers.get(obj) || []).forEach(function(view) {
+                    if (!(view instanceof DataView)) {
+                        this.swapView(view);
+                    }
+                }, this);
+                this.raw_buffers.delete(obj);
             }
+        } else if (tag === Encoder.TAG_DATAVIEW && !shared) {
+            // DataView on the bytes it covers
+            this.ds.writeUint8(tag);
+            this.ds.writeUint8(Encoder.TAG_ARRAYBUFFER);
+            this.serializeCount(obj.byteLength);
+            this.ds.writeUint8Array(new Uint8Array(obj.buffer, obj.byteOffset, obj.byteLength));
+            this.serializeCount(0);
+            this.serializeCount(obj.byteLength);
+        } else if (!shared) {
+            // Standalone typed array
+            this.ds.writeUint8(tag);
+            this.serializeCount(obj.length);
+            this.serializeTypedArray(obj, tag);
+        } else if (tag === Encoder.TAG_DATAVIEW) {
+            this.ds.writeUint8(tag);
+            this.serializeComponent(obj.buffer);
+            this.serializeCount(obj.byteOffset);
+            this.serializeCount(obj.byteLength);
         } else {
-            // Array by reference
-            this.ds.writeUint8(Encoder.TAG_OBJECT_REF);
-            this.serializeCount(refindex);
-            this.hasCycle = true;
+            this.ds.writeUint8(Encoder.TAG_TYPEDARRAY_VIEW);
+            this.ds.writeUint8(tag);
+            this.serializeComponent(obj.buffer);
+            this.serializeCount(obj.byteOffset);
+            this.serializeCount(obj.length);
+            this.swapView(obj);
         }
     }
     
+    /**
+     * Put the elements of a typed array on a shared ArrayBuffer in big endian order, in the
+     * contents of the ArrayBuffer already output (when it was encoded as such, rather than as
+     * the elements of a standalone typed array).
+     */
+    Encoder.prototype.swapView = function(obj) {
+        var contents = this.raw_buffers.get(obj.buffer);
+        if (contents === undefined || obj.BYTES_PER_ELEMENT === 1 || DataStream.endianness !== DataStream.LITTLE_ENDIAN) {
+            return;
+        }
+        if (contents.marks === undefined) {
+            contents.marks = new Uint8Array(obj.buffer.byteLength);
+        }
+        var dataView = contents.ds.dataView;
+        var bytes = new Uint8Array(dataView.buffer, dataView.byteOffset + contents.position, obj.buffer.byteLength);
+        if (!swapElements(bytes, contents.marks, obj.byteOffset, obj.length, obj.BYTES_PER_ELEMENT)) {
+            throw this.error("UNSUPPORTED_TYPE", "Overlapping typed arrays of different types on a shared ArrayBuffer");
+        }
+    };
+    
     Encoder.prototype.serializeComponentPart = function(obj, tag) {    
         switch (tag) {
             case Encoder.TAG_NUMBER:
@@ -312,9 +1706,16 @@
             case Encoder.TAG_UINT8:
             case Encoder.TAG_UINT16:
             case Encoder.TAG_UINT32:
+            case Encoder.TAG_VARINT:
+            case Encoder.TAG_FLOAT32:
+            case Encoder.TAG_DECIMAL:
                 this.serializeNumber(obj, tag);
                 break;
 
+            case Encoder.TAG_BIGINT:
+                this.serializeBigInt(obj);
+                break;
+
             case Encoder.TAG_STRING_REF:
                 this.serializeString(obj);      
                 break;
@@ -323,10 +1724,6 @@
                 this.serializeDate(obj);
                 break;
 
-            case Encoder.TAG_UINT8ARRAY:
-                this.serializeCount(obj.length);
-                this.ds.writeUint8Array(obj);
-            
             case Encoder.TAG_BOOLEAN_TRUE:
             case Encoder.TAG_BOOLEAN_FALSE:
             case Encoder.TAG_NULL:
@@ -334,53 +1731,201 @@
                 // DO NOTHING
                 break;
             default:
-                throw new Error("Unexpected tag for component part " + tag);
+                throw this.error("BAD_TAG", "Unexpected tag for component part " + tag);
         }
     }
     
     Encoder.prototype.serializeComponent = function(obj) {
-        var tag = getValueTag(obj);
-        
-        if (tag == Encoder.TAG_OBJECT) {
-            this.serializeObject(obj);
-        } else if (tag == Encoder.TAG_ARRAY) {
-            this.serializeArray(obj);
-        } else {
-            this.ds.writeUint8(tag);        
-            this.serializeComponentPart(obj, tag);
-        }
+        this.serializeMembers([getMembers([obj], undefined, [undefined])]);
     }
-
+    
+    /**
+     * Serialize the members of containers, depth first. The stack lists the members of the 
+     * containers being serialized, the innermost last. Return true once done, or false if 
+     * paused (pause returning true after a member), so that it may be resumed with the same stack.
+     */
+    Encoder.prototype.serializeMembers = function(stack, pause) {
+        var members, i, j, path;
+        
+        while (stack.length > 0) {
+            members = stack[stack.length - 1];
+            if (members.index === members.values.length) {
+                stack.pop();
+                continue;
+            }
+            
+            i = members.index;
+            members.index += 1;
+            try {
+                if (members.keys !== undefined) {
+                    this.serializeKey(members.keys[i]);
+                }
+                members = this.serializeValue(members.values[i]);
+            } catch (e) {
+                // Path of the member, from the innermost container
+                for (j = stack.length - 1; j >= 0; j -= 1) {
+                    path = (stack[j].paths !== undefined) ? stack[j].paths[stack[j].index - 1] : stack[j].index - 1;
+                    if (path !== undefined) {
+                        e = this.wrapError(e, path);
+                    }
+                }
+                throw e;
+            }
+            if (members !== undefined) {
+                stack.push(members);
+            }
+            
+            if (pause !== undefined && pause()) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Serialize a value, and get its members (if any) to serialize after it.
+     */
+    Encoder.prototype.serializeValue = function(obj) {
+        if (this.canonical && typeof obj === "number") {
+            obj = reduceNumber(obj, this.precision);
+        }
+        var tag = getValueTag(obj, this.precision);
+        
+        if (tag === undefined) {
+            throw this.error("UNSUPPORTED_TYPE", "Unsupported type " + 
+                (ArrayBuffer.isView(obj) ? obj.constructor.name : typeof obj));
+        } else if (this.version < 2 && !VERSION_1_TAGS.has(tag)) {
+            if (tag !== Encoder.TAG_VARINT) {
+                throw this.error("UNSUPPORTED_TYPE", "Unsupported type " + 
+                    Object.prototype.toString.call(obj).slice(8, -1) + " in version 1");
+            }
+            // Larger integer as a 64-bit float
+            tag = Encoder.TAG_NUMBER;
+        }
+        
+        if (tag == Encoder.TAG_OBJECT) {
+            return this.serializeObject(obj);
+        } else if (tag == Encoder.TAG_ARRAY) {
+            return this.serializeArray(obj);
+        } else if (tag == Encoder.TAG_MAP) {
+            return this.serializeMap(obj);
+        } else if (tag == Encoder.TAG_SET) {
+            return this.serializeSet(obj);
+        } else if (tag == Encoder.TAG_EXTENSION) {
+            return this.serializeExtension(obj);
+        } else if (tag >= Encoder.TAG_UINT8ARRAY && tag <= Encoder.TAG_DATAVIEW) {
+            this.serializeBinary(obj, tag);
+        } else if (tag == Encoder.TAG_STRING_REF && this.inline) {
+            this.serializeInlineString(obj);
+        } else {
+            this.ds.writeUint8(tag);        
+            this.serializeComponentPart(obj, tag);
+        }
+    }
+
+    /**
+     * Serialize the first byte (major version and options), followed by the minor version and
+     * the features (extended options) in version 2, or by the extended options if any in version 1.
+     */
+    Encoder.prototype.serializeVersion = function (options, extensions) {
+        if (this.precision === "float32") {
+            extensions |= Encoder.EXT_FLOAT32;
+        } else if (this.precision !== undefined) {
+            extensions |= Encoder.EXT_DECIMALS;
+        }
+        if (this.compress) {
+            extensions |= Encoder.EXT_COMPRESSED;
+        }
+        if (this.dictionary) {
+            extensions |= Encoder.EXT_DICTIONARY;
+        }
+        if (this.signature) {
+            extensions |= Encoder.EXT_SIGNED;
+        }
+        if (this.encryption) {
+            extensions |= Encoder.EXT_ENCRYPTED;
+        }
+        if (this.checksum) {
+            extensions |= Encoder.EXT_CHECKSUM;
+        }
+        
+        if (this.version >= 2) {
+            // Minor version and features always follow
+            this.ds.writeUint8(this.version | options);
+            this.ds.writeUint8(MINOR_VERSION);
+            this.serializeCount(extensions);
+        } else if (extensions) {
+            this.ds.writeUint8(this.version | options | Encoder.OPTION_EXTENDED);
+            this.serializeCount(extensions);
+        } else {
+            this.ds.writeUint8(this.version | options);
+        }
+        
+        if (extensions & Encoder.EXT_DECIMALS) {
+            this.serializeCount(this.precision);
+        }
+        if (extensions & Encoder.EXT_DICTIONARY) {
+            this.ds.writeUint32(this.dictionary.id);
+        }
+        if (extensions & Encoder.EXT_SIGNED) {
+            this.serializeCount(this.signature.algorithm.id);
+        }
+        if (extensions & Encoder.EXT_ENCRYPTED) {
+            this.serializeCount(this.encryption.keyId);
+            this.ds.writeUint8Array(this.encryption.nonce);
+        }
+        if (extensions & Encoder.EXT_CHECKSUM) {
+            this.ds.writeUint8(this.checksum.id);
+        }
+    };
+    
     Encoder.prototype.serializeTOS = function (options) {
         var next_ds = this.ds;
         
         this.ds = new DataStream();
         this.ds.endianness = DataStream.BIG_ENDIAN;
         
-        var v = MAJOR_VERSION;
+        var v = 0;
         if (!this.hasCycle) {
             v |= Encoder.OPTION_NOCYCLE;
         }
         
-        // Checksum and options
-        if (options && options.hasCRC) {
-            var crc = crc32(new Uint8Array(next_ds.buffer));
-            this.ds.writeUint8(v | Encoder.OPTION_CRC32 );
-            this.ds.writeUint32(crc);
-        } else {
-            this.ds.writeUint8(v);
+        // Checksum and options (the checksum of the whole data superseding the CRC32)
+        var extensions = (this.shape_table.length > 0) ? Encoder.EXT_SHAPES : 0;
+        var hasCRC = !!(options && options.hasCRC) && !this.checksum;
+        this.serializeVersion(v | (hasCRC ? Encoder.OPTION_CRC32 : 0), extensions);
+        var header = this.ds.position;
+        this.headerSize = header;
+        if (hasCRC) {
+            this.ds.writeUint32(crc32(new Uint8Array(next_ds.buffer)));
+        } else if (this.checksum) {
+            this.ds.writeUint32(0); // Computed once all is known
         }
 
-        // Key references
-        this.serializeCount(this.string_keys.size);
+        // Key references (not in the dictionary, if any)
+        var dictionary = this.dictionary || { keys: [], strings: [] };
+        this.serializeCount(this.string_keys.size - dictionary.keys.length);
         this.string_keys.forEach(function(value, key, map) {
-            this.ds.writeCString(encode_utf8(key));
+            if (value >= dictionary.keys.length) {
+                this.ds.writeCString(encode_utf8(key));
+            }
         }, this);
         
-        // String references
-        this.serializeCount(this.string_refs.size);
+        // Shapes
+        if (this.shape_table.length > 0) {
+            this.serializeCount(this.shape_table.length);
+            this.shape_table.forEach(function(keys) {
+                this.serializeCount(keys.length);
+                keys.forEach(function(key) { this.serializeKey(key); }, this);
+            }, this);
+        }
+        
+        // String references (not in the dictionary, if any)
+        this.serializeCount(this.string_refs.size - dictionary.strings.length);
         this.string_refs.forEach(function(value, key, map) {
-            this.ds.writeCString(encode_utf8(key));
+            if (value > dictionary.strings.length) {
+                this.ds.writeCString(encode_utf8(key));
+            }
         }, this);
         
         // All table of strings are prepended to the data
@@ -388,234 +1933,2857 @@
         DataStream.memcpy(dst, 0, this.ds.buffer, 0, this.ds.position);
         DataStream.memcpy(dst, this.ds.position, next_ds.buffer, 0, next_ds.position);
         this.ds.buffer = dst;
+        
+        // Checksum of all that follows it
+        if (this.checksum) {
+            this.ds.position = header;
+            this.ds.writeUint32(this.checksum.compute(new Uint8Array(dst, header + 4)));
+        }
+        
+        // Everything after the header is compressed
+        if (this.compress) {
+            var compressed = lzCompress(new Uint8Array(dst, header));
+            this.ds = new DataStream();
+            this.ds.endianness = DataStream.BIG_ENDIAN;
+            this.ds.writeUint8Array(new Uint8Array(dst, 0, header));
+            this.serializeCount(dst.byteLength - header);
+            this.ds.writeUint8Array(compressed);
+        }
     };
 
-    Encoder.prototype.encode = function(obj, options) {
+    Encoder.prototype.setOptions = function(options) {
         if (options && options.hasExperimental) {
             this.hasExperimental = true;
         }
-        this.serializeComponent(obj);
+        if (options && options.version !== undefined) {
+            if (options.version !== 1 && options.version !== 2) {
+                throw new JSBONError("INVALID_ARGUMENT", "Unsupported version " + options.version);
+            }
+            this.version = options.version;
+        }
+        if (this.version < 2) {
+            if (this.inline) {
+                throw new JSBONError("INVALID_ARGUMENT", "Streaming is not supported in version 1");
+            }
+            VERSION_2_OPTIONS.forEach(function(name) {
+                if (options && options[name] !== undefined && options[name] !== false) {
+                    throw new JSBONError("INVALID_ARGUMENT", "The " + name + " option is not supported in version 1");
+                }
+            });
+        }
+        if (options && options.precision !== undefined) {
+            if (options.precision !== "float32" && !(Number.isInteger(options.precision) && options.precision >= 0 && options.precision <= 15)) {
+                throw new JSBONError("INVALID_ARGUMENT", "Invalid precision " + options.precision);
+            }
+            this.precision = options.precision;
+        }
+        if (options && options.columnar) {
+            this.columnar = true;
+        }
+        if (options && options.dictionary) {
+            if (!(options.dictionary instanceof Dictionary)) {
+                throw new JSBONError("INVALID_ARGUMENT", "Invalid dictionary");
+            }
+            this.dictionary = options.dictionary;
+            this.dictionary.keys.forEach(function(key, index) { this.string_keys.set(key, index); }, this);
+            this.dictionary.strings.forEach(function(string, index) { this.string_refs.set(string, index + 1); }, this);
+        }
+        if (options && options.compress) {
+            if (this.inline) {
+                throw new JSBONError("INVALID_ARGUMENT", "Compression is not supported when streaming");
+            }
+            this.compress = true;
+        }
+        if (options && options.canonical) {
+            if (this.inline) {
+                throw new JSBONError("INVALID_ARGUMENT", "Canonical encoding is not supported when streaming");
+            }
+            this.canonical = true;
+        }
+        if (options && options.sign) {
+            if (this.inline) {
+                throw new JSBONError("INVALID_ARGUMENT", "Signatures are not supported when streaming");
+            }
+            this.signature = getSignature(options.sign, "sign");
+        }
+        if (options && options.encrypt) {
+            if (this.inline) {
+                throw new JSBONError("INVALID_ARGUMENT", "Encryption is not supported when streaming");
+            }
+            this.encryption = getEncryption(options.encrypt);
+        }
+        if (options && options.checksum) {
+            if (this.inline) {
+                throw new JSBONError("INVALID_ARGUMENT", "Checksums are not supported when streaming, use hasCRC instead");
+            }
+            this.checksum = Array.from(CHECKSUMS.values()).find(function(checksum) { return checksum.name === options.checksum; });
+            if (this.checksum === undefined) {
+                throw new JSBONError("INVALID_ARGUMENT", "Unsupported checksum algorithm " + options.checksum);
+            }
+        }
+        if (options && options.replacer) {
+            if (typeof options.replacer === "function") {
+                this.replacer = options.replacer;
+            } else if (options.replacer instanceof Array) {
+                this.propertyList = new Set(options.replacer.map(String));
+            }
+        }
+    }
+    
+    /**
+     * Find the ArrayBuffers met in a value, either themselves or through several views, with
+     * the views on them. Other views are serialized by value, rather than with the whole buffer
+     * they are on (e.g. the pool of small Node Buffers), as well as views in values which are 
+     * not scanned (i.e. returned by toJSON, the replacer or the encode function of a type).
+     *
+     * @return {Map} Views met on each shared ArrayBuffer
+     */
+    Encoder.prototype.findSharedBuffers = function(obj) {
+        var views = new Map(), buffers = new Set(), seen = new Set(), stack = [obj], shared = new Map();
+        var i, keys, tag;
+        
+        while (stack.length > 0) {
+            obj = stack.pop();
+            if (obj === null || typeof obj !== "object" || seen.has(obj)) {
+                continue;
+            }
+            seen.add(obj);
+            tag = getValueTag(obj);
+            if (tag === Encoder.TAG_ARRAYBUFFER) {
+                buffers.add(obj);
+            } else if (ArrayBuffer.isView(obj)) {
+                if (!views.has(obj.buffer)) {
+                    views.set(obj.buffer, new Set());
+                }
+                views.get(obj.buffer).add(obj);
+            } else if (tag === Encoder.TAG_ARRAY) {
+                for (i = 0; i < obj.length; i += 1) {
+                    stack.push(obj[i]);
+                }
+            } else if (tag === Encoder.TAG_MAP) {
+                obj.forEach(function(value, key) { stack.push(key, value); });
+            } else if (tag === Encoder.TAG_SET) {
+                obj.forEach(function(value) { stack.push(value); });
+            } else if ((tag === Encoder.TAG_OBJECT && typeof obj.toJSON !== "function") 
+                || (tag === Encoder.TAG_EXTENSION && !extension_types.byPrototype.get(Object.getPrototypeOf(obj)).encode)) {
+                keys = this.getKeys(obj);
+                for (i = 0; i < keys.length; i += 1) {
+                    stack.push(obj[keys[i]]);
+                }
+            }
+        }
+        
+        buffers.forEach(function(buffer) {
+            shared.set(buffer, views.get(buffer) || new Set());
+        });
+        views.forEach(function(list, buffer) {
+            if (list.size > 1) {
+                shared.set(buffer, list);
+            }
+        });
+        return shared;
+    }
+    
+    /**
+     * Get the members to serialize for the top-level value, as the stack of serializeMembers.
+     */
+    Encoder.prototype.getRootMembers = function(obj) {
+        obj = this.replaceValue({ "": obj }, "", obj);
+        this.shared_buffers = this.findSharedBuffers(obj);
+        return [getMembers([obj], undefined, [undefined])];
+    }
+    
+    /**
+     * Serialize the top-level value.
+     */
+    Encoder.prototype.serializeRoot = function(obj) {
+        this.serializeMembers(this.getRootMembers(obj));
+    }
+
+    /**
+     * Register the property names and strings of a value in sorted order (after those of the
+     * dictionary, if any), so that the tables of strings do not depend on the order of first use.
+     */
+    Encoder.prototype.sortStrings = function(obj, options) {
+        var s = new Encoder();
+        s.setOptions(options);
+        s.serializeRoot(obj);
+        
+        Array.from(s.string_keys.keys()).sort().forEach(function(key) {
+            if (!this.string_keys.has(key)) {
+                this.string_keys.set(key, this.string_keys.size);
+            }
+        }, this);
+        Array.from(s.string_refs.keys()).sort().forEach(function(string) {
+            if (!this.string_refs.has(string)) {
+                this.string_refs.set(string, this.string_refs.size + 1);
+            }
+        }, this);
+    }
+    
+    /**
+     * Serialize a value, with its header and tables of strings, but not its signature (if any).
+     *
+     * @return {Uint8Array} Encoded data
+     */
+    Encoder.prototype.serialize = function(obj, options) {
+        this.setOptions(options);
+        if (this.canonical) {
+            this.sortStrings(obj, options);
+        }
+        this.serializeRoot(obj);
         this.serializeTOS(options);
         
         return new Uint8Array(this.ds.buffer);
     }
-
+    
     /**
-     * Decoder.
+     * Split serialized data into the header (authenticated, but not encrypted) and the rest.
+     */
+    Encoder.prototype.splitHeader = function(data) {
+        return {
+            aad: getAssociatedData(data.subarray(0, this.headerSize), this.encryption.additionalData),
+            header: data.subarray(0, this.headerSize),
+            payload: data.subarray(this.headerSize)
+        };
+    }
+    
+    /**
+     * Encrypt serialized data (but the header), synchronously.
+     */
+    Encoder.prototype.encrypt = function(data) {
+        var parts = this.splitHeader(data);
+        return concatBytes(parts.header, encrypt(this.encryption.key, this.encryption.nonce, parts.aad, parts.payload));
+    }
+    
+    Encoder.prototype.encode = function(obj, options) {
+        var data = this.serialize(obj, options);
+        if (this.encryption) {
+            data = this.encrypt(data);
+        }
+        return this.signature ? concatBytes(data, sign(this.signature, data)) : data;
+    }
+    
+    /**
+     * Encode, with the encryption and the signature (if any) computed asynchronously.
+     *
+     * @return {Promise} Promise resolving to the encoded data
+     */
+    Encoder.prototype.encodeAsync = function(obj, options) {
+        var self = this;
+        return new Promise(function(resolve) {
+            resolve(self.serialize(obj, options));
+        }).then(function(data) {
+            if (!self.encryption) {
+                return data;
+            }
+            var parts = self.splitHeader(data);
+            return encryptAsync(self.encryption.key, self.encryption.nonce, parts.aad, parts.payload).then(function(encrypted) {
+                return concatBytes(parts.header, encrypted);
+            });
+        }).then(function(data) {
+            return self.signature ? signAsync(self.signature, data).then(function(mac) { return concatBytes(data, mac); }) : data;
+        });
+    }
+    
+    /**
+     * Stream encoder, writing data to a sink as they are encoded.
+     *
+     * Strings and property names are then defined inline at first use, rather than in 
+     * prepended tables of strings. The sink is either a function called with each chunk, 
+     * a Node Writable stream or a WHATWG WritableStream.
      *
      * @constructor
+     * @param {function|Object} sink Destination of the chunks
      */
-    var Decoder = function (arrayBuffer) {
-        this.ds = new DataStream(arrayBuffer, 0, DataStream.BIG_ENDIAN);
-        this.object_refs = new Map(); // Object references
-        this.string_keys = new Map(); // Array for key references
-        this.string_refs = new Map(); // Array for all other string references
-        this.hasCycle = true; // Circular references exist: we don't know yet, so assume true by default
+    var StreamEncoder = function (sink) {
+        Encoder.call(this);
+        this.sink = sink;
+        this.inline = true;
+        this.chunkSize = StreamEncoder.CHUNK_SIZE;
     };
+    StreamEncoder.prototype = Object.create(Encoder.prototype);
+    StreamEncoder.prototype.constructor = StreamEncoder;
     
-    Decoder.prototype.unserializeCount = function() {
-        // Read varint (bit 8 of all bytes is 'continue' flag)
-        var c = 0, value = 0 >>> 0, b;
-        do {
-            b = this.ds.readUint8();
-            value |= (b & 0x7F) << 7 * c;
-            c += 1;
-        } while ((b & 0x80) !== 0);
+    // Default size of output chunks
+    StreamEncoder.CHUNK_SIZE = 65536;
+    
+    /**
+     * Write a chunk to the sink.
+     *
+     * @return {Promise|undefined} Promise resolving once the sink is ready for more, if it has to be waited for
+     */
+    StreamEncoder.prototype.write = function (chunk) {
+        var sink = this.sink;
         
-        return value;
+        if (typeof sink === "function") {
+            // Function, possibly returning a promise
+            var result = sink(chunk);
+            return (result && typeof result.then === "function") ? result : undefined;
+        } else if (typeof sink.getWriter === "function") {
+            // WHATWG WritableStream, waited for while its queue is full
+            if (this.writer === undefined) {
+                this.writer = sink.getWriter();
+                this.pending = [];
+            }
+            this.pending.push(this.writer.write(chunk));
+            return (this.writer.desiredSize > 0) ? undefined : this.writer.ready;
+        } else if (typeof sink.write === "function") {
+            // Node Writable, waited for until drained when its buffer is full
+            if (!sink.write(chunk)) {
+                return new Promise(function(resolve, reject) {
+                    var done = function(e) {
+                        sink.removeListener("drain", done);
+                        sink.removeListener("error", done);
+                        return e ? reject(e) : resolve();
+                    };
+                    sink.on("drain", done);
+                    sink.on("error", done);
+                });
+            }
+        } else {
+            throw new JSBONError("INVALID_ARGUMENT", "Invalid sink");
+        }
     };
-
-    Decoder.prototype.unserializeString = function() {
-        var string;
+    
+    /**
+     * Close the sink (if it is a stream and end is true) and wait for all chunks to be written.
+     */
+    StreamEncoder.prototype.close = function (end) {
+        var sink = this.sink;
         
-        var index = this.unserializeCount();
-        if (index === 0) {
-            string = "";
-        } else {
-            if (index > this.string_refs.size) {
-                throw new Error("Out of bound string reference " + index);
+        if (this.writer !== undefined) {
+            var writer = this.writer;
+            return Promise.all(this.pending).then(function() {
+                return end ? writer.close() : writer.releaseLock();
+            });
+        }
+        if (end && typeof sink !== "function" && typeof sink.end === "function") {
+            return new Promise(function(resolve, reject) {
+                sink.once("error", reject);
+                sink.end(function() {
+                    sink.removeListener("error", reject);
+                    resolve();
+                });
+            });
+        }
+        return Promise.resolve();
+    };
+    
+    /**
+     * Write the data serialized so far to the sink.
+     *
+     * @return {Promise|undefined} As with write
+     */
+    StreamEncoder.prototype.flush = function () {
+        if (this.ds.position > 0) {
+            var chunk = new Uint8Array(this.ds.buffer, 0, this.ds.position);
+            if (this.hasCRC) {
+                this.crc = crc32(chunk, this.crc);
             }
+            this.flushed += this.ds.position;
+            this.ds = new DataStream(this.chunkSize, 0, DataStream.BIG_ENDIAN);
             
-            string = this.string_refs.get(index - 1);
+            return this.write(chunk);
         }
-        
-        return string;
     };
     
-    Decoder.prototype.unserializeDate = function() {
-        return new Date(this.ds.readFloat64());
-    };
-
-    Decoder.prototype.unserializeObject = function() {
-        var obj = {};
-
-        if (this.hasCycle) {
-            this.object_refs.set(this.ds.position - 1, obj);
+    /**
+     * Encode to the sink. Options are those of JSBON.encode, and also chunkSize (size of
+     * output chunks) and end (whether to close the sink after encoding, by default true).
+     * The CRC32 (if any) comes after the encoded objects. Encoding waits for the sink whenever
+     * it is not ready for more, so the value shall not change until done.
+     *
+     * @return {Promise} Promise resolving to the number of bytes written
+     */
+    StreamEncoder.prototype.encode = function (obj, options) {
+        var self = this;
+        
+        this.setOptions(options);
+        if (options && options.chunkSize) {
+            this.chunkSize = options.chunkSize;
         }
+        this.hasCRC = !!(options && options.hasCRC);
+        this.ds = new DataStream(this.chunkSize, 0, DataStream.BIG_ENDIAN);
         
-        var size = this.unserializeCount();
+        // Circular references cannot be known in advance
+        this.serializeVersion(Encoder.OPTION_INLINE | (this.hasCRC ? Encoder.OPTION_CRC32 : 0), 0);
+        var size = this.ds.position;
+        var header = new Uint8Array(this.ds.buffer, 0, size);
+        this.ds = new DataStream(this.chunkSize, 0, DataStream.BIG_ENDIAN);
         
-        var i, index, key;
-        var max = this.string_keys.size;
-        while (size > 0) {
-            index = this.unserializeCount();
-            
-            if (index >= max) {
-                throw new Error("Out of bound property reference " + index);
+        // Once the contents of an ArrayBuffer are output, they are kept until typed arrays on 
+        // it have changed their byte order (only known at once without a replacer function)
+        var stack = this.getRootMembers(obj);
+        var full = function() {
+            return self.ds.position >= self.chunkSize && self.raw_buffers.size === 0;
+        };
+        var resume = function() {
+            var ready;
+            while (ready === undefined) {
+                if (self.serializeMembers(stack, full)) {
+                    return self.flush();
+                }
+                ready = self.flush();
             }
-            
-            key = this.string_keys.get(index);
-            obj[key] = this.unserializeComponent();
-            size -= 1;
+            return ready.then(resume);
         };
         
-        return obj;
+        return Promise.resolve(this.write(header)).then(resume).then(function() {
+            size += self.flushed;
+            if (self.hasCRC) {
+                self.ds.writeUint32(self.crc === undefined ? crc32([]) : self.crc);
+                size += 4;
+                return self.write(new Uint8Array(self.ds.buffer, 0, 4));
+            }
+        }).then(function() {
+            return self.close(!(options && options.end === false));
+        }).then(function() {
+            return size;
+        });
     };
 
-    Decoder.prototype.unserializeArray = function() {
-        var arr = [];
-   
-        if (this.hasCycle) {
-            this.object_refs.set(this.ds.position - 1, arr);
+    /**
+     * Sequence encoder, encoding values as records of a same sequence (e.g. events of a log).
+     *
+     * The sequence starts with a header, and each record is framed with its size. Strings
+     * and property names are defined inline at first use, and later records reuse them.
+     * When appending to an existing sequence (with the append option), the first record is 
+     * preceded by a restart marker (zero size) and a new header, so that tables of strings 
+     * start anew.
+     *
+     * @constructor
+     * @param {Object} options Options of JSBON.encode, and append
+     */
+    var SequenceEncoder = function (options) {
+        Encoder.call(this);
+        this.inline = true;
+        this.setOptions(options);
+        this.hasCRC = !!(options && options.hasCRC);
+        this.append = !!(options && options.append);
+        this.started = false;
+    };
+    SequenceEncoder.prototype = Object.create(Encoder.prototype);
+    SequenceEncoder.prototype.constructor = SequenceEncoder;
+    
+    /**
+     * Serialize the sequence header, if not yet done.
+     */
+    SequenceEncoder.prototype.serializeHeader = function () {
+        if (!this.started) {
+            if (this.append) {
+                this.serializeCount(0);
+            }
+            this.serializeVersion(Encoder.OPTION_INLINE | (this.hasCRC ? Encoder.OPTION_CRC32 : 0), Encoder.EXT_SEQUENCE);
+            this.started = true;
         }
+    };
+    
+    /**
+     * Get the sequence header, if not yet output (e.g. for an empty sequence).
+     *
+     * @return {Uint8Array} Sequence header (empty if already output)
+     */
+    SequenceEncoder.prototype.header = function () {
+        this.ds = new DataStream();
+        this.ds.endianness = DataStream.BIG_ENDIAN;
+        this.ds.position = 0;
+        this.serializeHeader();
+        return new Uint8Array(this.ds.buffer, 0, this.ds.position);
+    };
+    
+    /**
+     * Encode a value as the next record.
+     *
+     * @return {Uint8Array} Encoded record (including the sequence header, for the first one)
+     */
+    SequenceEncoder.prototype.encode = function (value) {
+        // Object references are relative to each record
+        this.ds = new DataStream();
+        this.ds.endianness = DataStream.BIG_ENDIAN;
+        this.object_refs = new Map();
+        this.raw_buffers = new Map();
+        this.serializeRoot(value);
         
-        var size = this.unserializeCount();
+        var body = new Uint8Array(this.ds.buffer, 0, this.ds.position);
+        this.ds = new DataStream();
+        this.ds.endianness = DataStream.BIG_ENDIAN;
         
-        var i = 0, elem;
-        while (i < size) {
-            elem = this.unserializeComponent();
-            arr[i] = elem;
-            i += 1;
+        this.serializeHeader();
+        this.serializeCount(body.length);
+        this.ds.writeUint8Array(body);
+        if (this.hasCRC) {
+            this.ds.writeUint32(crc32(body));
         }
         
-        return arr;
+        return new Uint8Array(this.ds.buffer);
     };
     
-    Decoder.prototype.unserializeComponentPart = function (tag) {
-        var size, refindex;
-        
-        switch (tag) {
-            case Encoder.TAG_NUMBER:
-                return this.ds.readFloat64();
-            case Encoder.TAG_INT8:
-                return this.ds.readInt8();
-            case Encoder.TAG_INT16:
-                return this.ds.readInt16();
-            case Encoder.TAG_INT32:
-                return this.ds.readInt32();
-            case Encoder.TAG_UINT8:
-                return this.ds.readUint8();
-            case Encoder.TAG_UINT16:
-                return this.ds.readUint16();
-            case Encoder.TAG_UINT32:
-                return this.ds.readUint32();
+    /**
+     * Decoder.
+     *
+     * @constructor
+     */
+    var Decoder = function (arrayBuffer) {
+        this.ds = new ReadStream(arrayBuffer);
+        this.object_refs = new Map(); // Object references
+        this.raw_buffers = new Map(); // Elements already swapped in ArrayBuffers (by value), for views on them
+        this.string_keys = new Map(); // Array for key references
+        this.string_refs = new Map(); // Array for all other string references
+        this.shapes = []; // Array for shapes (property name lists)
+        this.column_blocks = []; // Positions and sizes of arrays of records encoded by columns, when skipped
+        this.hasCycle = true; // Circular references exist: we don't know yet, so assume true by default
+        this.limits = {}; // Decoding limits, for untrusted data
+        this.depth = 0; // Current nesting depth
+        this.tablesComplete = false; // Strings defined inline already registered (when decoding again)
+        this.columnar = false; // Arrays of records encoded by columns met
+    };
+    
+    /**
+     * Limits applying when not set in the options: the nesting depth is limited well below 
+     * the size of the call stack, and BigInts to 1024 bytes (about 2400 decimal digits).
+     */
+    Decoder.DEFAULT_LIMITS = {
+        maxDepth: 1000,
+        maxBigIntLength: 1024
+    };
+    
+    /**
+     * Set decoding options: the reviver, nullPrototype (to create objects without prototype),
+     * the dictionary (if the data were encoded with one), verify (to check the signature), decrypt
+     * (to decrypt the data), and the limits (maxDepth, maxBytes, maxArrayLength, maxStringTableSize, maxBinaryLength and maxBigIntLength).
+     */
+    Decoder.prototype.setOptions = function(options) {
+        if (options && typeof options.reviver === "function") {
+            this.reviver = options.reviver;
+        }
+        if (options && options.nullPrototype) {
+            this.nullPrototype = true;
+        }
+        if (options && options.dictionary) {
+            if (!(options.dictionary instanceof Dictionary)) {
+                throw new JSBONError("INVALID_ARGUMENT", "Invalid dictionary");
+            }
+            this.dictionary = options.dictionary;
+        }
+        if (options && options.verify) {
+            this.verify = getSignature(options.verify, "verify");
+        }
+        if (options && options.decrypt) {
+            if (typeof options.decrypt !== "object" || options.decrypt.key === undefined || options.decrypt.key === null) {
+                throw new JSBONError("INVALID_ARGUMENT", "Missing key for the decrypt option");
+            }
+            this.decryption = options.decrypt;
+        }
+        if (options) {
+            this.limits = options;
+        }
+        this.checkLimit("maxBytes", this.ds.byteLength);
+    };
+    
+    /**
+     * Create an error at the current position.
+     */
+    Decoder.prototype.error = function(code, reason) {
+        return new JSBONError(code, reason, this.ds.position);
+    };
+    
+    /**
+     * Add the key of a containing value to the path of an error. A stack overflow (on deeply 
+     * nested values) is reported as a limit exceeded. Other errors (e.g. from a reviver) are 
+     * left untouched.
+     */
+    Decoder.prototype.wrapError = function(e, key) {
+        if (isStackOverflow(e)) {
+            e = this.error("LIMIT_EXCEEDED", "Limit exceeded: call stack size");
+        }
+        if (e instanceof JSBONError && key !== undefined) {
+            e.addPath(key);
+        }
+        return e;
+    };
+    
+    Decoder.prototype.checkLimit = function(name, value) {
+        var limit = (this.limits[name] !== undefined) ? this.limits[name] : Decoder.DEFAULT_LIMITS[name];
+        if (limit !== undefined && value > limit) {
+            throw this.error("LIMIT_EXCEEDED", "Limit exceeded: " + name + " " + value);
+        }
+    };
+    
+    /**
+     * Check a claimed size (of a table of strings, a collection or binary data) against 
+     * the remaining data, given the minimal number of bytes per item, and against its limit.
+     */
+    Decoder.prototype.checkSize = function(size, itemBytes, limit) {
+        if (size * itemBytes > this.ds.byteLength - this.ds.position) {
+            throw this.error("TRUNCATED", "Truncated data");
+        }
+        this.checkLimit(limit, size);
+    };
+    
+    Decoder.prototype.unserializeCount = function() {
+        // Read varint (bit 8 of all bytes is 'continue' flag), on 5 bytes at most
+        var c = 0, value = 0, b;
+        do {
+            b = this.ds.readUint8();
+            if (c === 4 && b > 0x0F) {
+                throw this.error("INVALID_DATA", "Invalid count value");
+            }
+            value += (b & 0x7F) * Math.pow(2, 7 * c);
+            c += 1;
+        } while ((b & 0x80) !== 0);
+        
+        return value;
+    };
+
+    Decoder.prototype.unserializeVarint = function() {
+        // Read zig-zag varint (sign in bit 1 of the first byte)
+        var b = this.ds.readUint8();
+        var sign = b & 0x01, q = (b & 0x7F) >>> 1, m = 64;
+        while ((b & 0x80) !== 0) {
+            b = this.ds.readUint8();
+            q += (b & 0x7F) * m;
+            m *= 128;
+            if (q > Number.MAX_SAFE_INTEGER) {
+                throw this.error("INVALID_DATA", "Invalid varint value");
+            }
+        }
+        
+        return sign ? -(q + 1) : q;
+    };
+    
+    Decoder.prototype.unserializeDecimal = function() {
+        if (this.precision === undefined || this.precision === "float32") {
+            throw this.error("INVALID_DATA", "Unexpected decimal value");
+        }
+        
+        // Scaled value, divided by a power of 10 to get the nearest number
+        return this.unserializeVarint() / Math.pow(10, this.precision);
+    };
+    
+    Decoder.prototype.unserializeBigInt = function() {
+        if (typeof BigInt === "undefined") {
+            throw this.error("UNSUPPORTED_TYPE", "Unsupported BigInt value");
+        }
+        
+        // Read zig-zag varint of arbitrary size, as binary digits (from the least significant)
+        var digits = [], b;
+        do {
+            b = this.ds.readUint8();
+            digits.push((b & 0x7F).toString(2).padStart(7, "0"));
+            this.checkLimit("maxBigIntLength", digits.length);
+        } while ((b & 0x80) !== 0);
+        
+        var z = BigInt("0b" + digits.reverse().join(""));
+        return (z & BigInt(1)) ? -((z + BigInt(1)) >> BigInt(1)) : z >> BigInt(1);
+    };
+    
+    /**
+     * Read a null-terminated UTF-8 string.
+     */
+    Decoder.prototype.unserializeCString = function() {
+        var start = this.ds.position;
+        var s = this.ds.readCString();
+        
+        if (this.ds.position === start + s.length) {
+            // Null terminator not met
+            throw this.error("TRUNCATED", "Truncated string");
+        }
+        try {
+            return decode_utf8(s);
+        } catch (e) {
+            throw new JSBONError("INVALID_DATA", "Invalid UTF-8 string", start);
+        }
+    };
+    
+    Decoder.prototype.unserializeString = function() {
+        var string;
+        
+        var index = this.unserializeCount();
+        if (index === 0) {
+            string = "";
+        } else {
+            if (index > this.string_refs.size) {
+                throw this.error("BAD_REFERENCE", "Out of bound string reference " + index);
+            }
+            
+            string = this.string_refs.get(index - 1);
+        }
+        
+        return string;
+    };
+    
+    Decoder.prototype.unserializeInlineString = function() {
+        if (!this.inline) {
+            throw this.error("INVALID_DATA", "Unexpected inline string");
+        }
+        if (this.tablesComplete) {
+            return this.unserializeCString();
+        }
+        
+        this.checkLimit("maxStringTableSize", this.string_refs.size + 1);
+        var string = this.unserializeCString();
+        this.string_refs.set(this.string_refs.size, string);
+        return string;
+    };
+    
+    Decoder.prototype.unserializeDate = function() {
+        return new Date(this.ds.readFloat64());
+    };
+
+    Decoder.prototype.unserializeObject = function() {
+        var obj = this.nullPrototype ? Object.create(null) : {};
+
+        if (this.hasCycle) {
+            this.object_refs.set(this.ds.position - 1, obj);
+        }
+        
+        return this.unserializeProperties(obj);
+    };
+    
+    Decoder.prototype.unserializeKey = function() {
+        var index = this.unserializeCount();
+        
+        if (this.inline) {
+            if (index === 0) {
+                // New name defined inline
+                if (this.tablesComplete) {
+                    return this.unserializeCString();
+                }
+                this.checkLimit("maxStringTableSize", this.string_keys.size + 1);
+                var key = this.unserializeCString();
+                this.string_keys.set(this.string_keys.size, key);
+                return key;
+            }
+            index -= 1;
+        }
+        
+        if (index >= this.string_keys.size) {
+            throw this.error("BAD_REFERENCE", "Out of bound property reference " + index);
+        }
+        return this.string_keys.get(index);
+    };
+    
+    Decoder.prototype.unserializeProperty = function(obj, key) {
+        try {
+            if (this.reviver) {
+                this.unserializeMember(obj, key);
+            } else {
+                setProperty(obj, key, this.unserializeComponent());
+            }
+        } catch (e) {
+            throw this.wrapError(e, key);
+        }
+    };
+    
+    Decoder.prototype.unserializeProperties = function(obj) {
+        var size = this.unserializeCount();
+        this.checkSize(size, 2, "maxArrayLength");
+        
+        while (size > 0) {
+            this.unserializeProperty(obj, this.unserializeKey());
+            size -= 1;
+        };
+        
+        return obj;
+    };
+    
+    Decoder.prototype.unserializeShapeKeys = function() {
+        var size = this.unserializeCount();
+        this.checkSize(size, 1, "maxArrayLength");
+        
+        var keys = new Array(size);
+        for (var i = 0; i < size; i += 1) {
+            keys[i] = this.unserializeKey();
+        }
+        return keys;
+    };
+    
+    /**
+     * Unserialize a shape (i.e. a list of property names), either as a reference to the shape 
+     * table or, when strings are defined inline, defined at first use.
+     */
+    Decoder.prototype.unserializeShape = function() {
+        var keys, index = this.unserializeCount();
+        
+        if (this.inline) {
+            if (index === 0) {
+                // New shape defined inline
+                keys = this.unserializeShapeKeys();
+                if (!this.tablesComplete) {
+                    this.checkLimit("maxStringTableSize", this.shapes.length + 1);
+                    this.shapes.push(keys);
+                }
+                return keys;
+            }
+            index -= 1;
+        }
+        
+        if (index >= this.shapes.length) {
+            throw this.error("BAD_REFERENCE", "Out of bound shape reference " + index);
+        }
+        return this.shapes[index];
+    };
+    
+    Decoder.prototype.unserializeShapedObject = function() {
+        var obj = this.nullPrototype ? Object.create(null) : {};
+
+        if (this.hasCycle) {
+            this.object_refs.set(this.ds.position - 1, obj);
+        }
+        
+        var keys = this.unserializeShape();
+        for (var i = 0; i < keys.length; i += 1) {
+            this.unserializeProperty(obj, keys[i]);
+        }
+        return obj;
+    };
 
+    /**
+     * Unserialize a property or an element, and set it in its holder after calling the reviver.
+     * As in JSON, the reviver removes it by returning undefined. The revived value replaces the
+     * original one for later references, and a reference is not revived again.
+     */
+    Decoder.prototype.unserializeMember = function(holder, key) {
+        var refindex = this.ds.position;
+        var tag = this.ds.readUint8();
+        
+        this.depth += 1;
+        this.checkLimit("maxDepth", this.depth);
+        var value = this.unserializeComponentPart(tag);
+        this.depth -= 1;
+        
+        if (tag !== Encoder.TAG_OBJECT_REF) {
+            value = this.reviver.call(holder, key, value);
+            if (this.hasCycle && this.object_refs.has(refindex)) {
+                this.object_refs.set(refindex, value);
+            }
+        }
+        
+        if (value !== undefined) {
+            setProperty(holder, key, value);
+        }
+    };
+    
+    Decoder.prototype.unserializeExtensionType = function() {
+        var id = this.unserializeComponent();
+        var type = extension_types.byId.get(id);
+        
+        if (type === undefined) {
+            throw this.error("UNSUPPORTED_TYPE", "Unknown extension type " + id);
+        }
+        return type;
+    };
+    
+    Decoder.prototype.unserializeExtension = function() {
+        var refindex = this.ds.position - 1;
+        var type = this.unserializeExtensionType();
+        var obj = Object.create(type.Class.prototype);
+        
+        if (this.hasCycle) {
+            this.object_refs.set(refindex, obj);
+        }
+        
+        return this.unserializeProperties(obj);
+    };
+    
+    Decoder.prototype.unserializeExtensionValue = function() {
+        var refindex = this.ds.position - 1;
+        var type = this.unserializeExtensionType();
+        
+        if (!type.decode) {
+            throw this.error("UNSUPPORTED_TYPE", "Extension type has no decode function " + type.id);
+        }
+        
+        // The instance only exists once its value is decoded, so the latter cannot refer to it
+        var obj = type.decode(this.unserializeComponent());
+        
+        if (this.hasCycle) {
+            this.object_refs.set(refindex, obj);
+        }
+        return obj;
+    };
+    
+    Decoder.prototype.unserializeArray = function() {
+        var arr = [];
+   
+        if (this.hasCycle) {
+            this.object_refs.set(this.ds.position - 1, arr);
+        }
+        
+        var size = this.unserializeCount();
+        this.checkSize(size, 1, "maxArrayLength");
+        
+        var i = 0, elem;
+        try {
+            if (this.reviver) {
+                arr.length = size;
+                while (i < size) {
+                    this.unserializeMember(arr, String(i));
+                    i += 1;
+                }
+            } else {
+                while (i < size) {
+                    elem = this.unserializeComponent();
+                    arr[i] = elem;
+                    i += 1;
+                }
+            }
+        } catch (e) {
+            throw this.wrapError(e, i);
+        }
+        
+        return arr;
+    };
+    
+    Decoder.prototype.unserializePackedType = function() {
+        var tag = this.ds.readUint8();
+        
+        if (tag < Encoder.TAG_UINT8ARRAY || tag > Encoder.TAG_FLOAT64ARRAY) {
+            throw this.error("BAD_TAG", "Unexpected tag for packed array " + tag);
+        }
+        return tag;
+    };
+    
+    Decoder.prototype.unserializePackedArray = function() {
+        var refindex = this.ds.position - 1;
+        var tag = this.unserializePackedType();
+        
+        var size = this.unserializeCount();
+        this.checkSize(size, TYPED_ARRAYS.get(tag).BYTES_PER_ELEMENT, "maxArrayLength");
+        var arr = Array.from(this.unserializeTypedArray(tag, size));
+        
+        if (this.reviver) {
+            // As for other arrays, the reviver is called for each element
+            for (var i = 0; i < size; i += 1) {
+                var value = this.reviver.call(arr, String(i), arr[i]);
+                if (value === undefined) {
+                    delete arr[i];
+                } else {
+                    arr[i] = value;
+                }
+            }
+        }
+        if (this.hasCycle) {
+            this.object_refs.set(refindex, arr);
+        }
+        return arr;
+    };
+    
+    /**
+     * Unserialize an array of records encoded by columns. Each record is registered at a 
+     * distinct position within the encoded array.
+     */
+    Decoder.prototype.unserializeColumns = function() {
+        var position = this.ds.position - 1;
+        var arr = [], keys, values, i, j;
+        
+        if (this.hasCycle) {
+            this.object_refs.set(position, arr);
+        }
+        
+        var size = this.unserializeCount();
+        this.checkSize(size, 1, "maxArrayLength");
+        keys = this.unserializeShapeKeys();
+        this.columnar = true;
+        for (i = 0; i < size; i += 1) {
+            arr[i] = this.nullPrototype ? Object.create(null) : {};
+            if (this.hasCycle) {
+                this.object_refs.set(position + 1 + i, arr[i]);
+            }
+        }
+        
+        for (j = 0; j < keys.length; j += 1) {
+            try {
+                values = this.unserializeColumn(size);
+            } catch (e) {
+                throw this.wrapError(e, keys[j]);
+            }
+            for (i = 0; i < size; i += 1) {
+                setProperty(arr[i], keys[j], values[i]);
+            }
+        }
+        
+        if (this.reviver) {
+            for (i = 0; i < size; i += 1) {
+                this.reviveColumns(arr, i, keys, position + 1 + i);
+            }
+        }
+        return arr;
+    };
+    
+    /**
+     * Call the reviver for the properties of a record, and then for the record itself.
+     */
+    Decoder.prototype.reviveColumns = function(arr, index, keys, refindex) {
+        var row = arr[index], value;
+        
+        keys.forEach(function(key) {
+            value = this.reviver.call(row, key, row[key]);
+            if (value === undefined) {
+                delete row[key];
+            } else {
+                setProperty(row, key, value);
+            }
+        }, this);
+        
+        value = this.reviver.call(arr, String(index), row);
+        if (this.hasCycle) {
+            this.object_refs.set(refindex, value);
+        }
+        arr[index] = value;
+    };
+    
+    Decoder.prototype.unserializeColumn = function(size) {
+        var tag = this.ds.readUint8(), values, i;
+        
+        if (tag === Encoder.TAG_ARRAY) {
+            values = new Array(size);
+            for (i = 0; i < size; i += 1) {
+                values[i] = this.unserializeComponent();
+            }
+            return values;
+        }
+        
+        var strings = (tag === Encoder.TAG_STRING_REF);
+        if (strings) {
+            tag = this.ds.readUint8();
+        }
+        if (tag < Encoder.TAG_UINT8ARRAY || tag > Encoder.TAG_FLOAT64ARRAY) {
+            throw this.error("BAD_TAG", "Unexpected tag for column " + tag);
+        }
+        this.checkSize(size, TYPED_ARRAYS.get(tag).BYTES_PER_ELEMENT, "maxArrayLength");
+        values = this.unserializeTypedArray(tag, size);
+        
+        if (strings) {
+            values = Array.from(values, function(index) {
+                if (index > this.string_refs.size || !Number.isInteger(index)) {
+                    throw this.error("BAD_REFERENCE", "Out of bound string reference " + index);
+                }
+                return (index === 0) ? "" : this.string_refs.get(index - 1);
+            }, this);
+        }
+        return values;
+    };
+    
+    Decoder.prototype.skipColumns = function() {
+        var position = this.ds.position - 1;
+        var tag, j;
+        
+        var size = this.unserializeCount();
+        this.checkSize(size, 1, "maxArrayLength");
+        var keys = this.unserializeShapeKeys();
+        for (j = 0; j < keys.length; j += 1) {
+            tag = this.ds.readUint8();
+            if (tag === Encoder.TAG_ARRAY) {
+                this.skipItems(size);
+                continue;
+            }
+            if (tag === Encoder.TAG_STRING_REF) {
+                tag = this.ds.readUint8();
+            }
+            if (tag < Encoder.TAG_UINT8ARRAY || tag > Encoder.TAG_FLOAT64ARRAY) {
+                throw this.error("BAD_TAG", "Unexpected tag for column " + tag);
+            }
+            this.skipBytes(size * TYPED_ARRAYS.get(tag).BYTES_PER_ELEMENT);
+        }
+        this.column_blocks.push([position, size]);
+    };
+    
+    /**
+     * Get the position of the array of records encoded by columns containing the given position, 
+     * if any (as records are referred to by positions within such arrays).
+     */
+    Decoder.prototype.findColumns = function(position) {
+        var block = this.column_blocks.find(function(block) {
+            return position > block[0] && position <= block[0] + block[1];
+        });
+        return block && block[0];
+    };
+    
+    Decoder.prototype.unserializeMap = function() {
+        var map = new Map();
+   
+        if (this.hasCycle) {
+            this.object_refs.set(this.ds.position - 1, map);
+        }
+        
+        var size = this.unserializeCount();
+        this.checkSize(size, 2, "maxArrayLength");
+        
+        var i = 0, key;
+        try {
+            while (i < size) {
+                key = this.unserializeComponent();
+                map.set(key, this.unserializeComponent());
+                i += 1;
+            }
+        } catch (e) {
+            throw this.wrapError(e, i);
+        }
+        
+        return map;
+    };
+    
+    Decoder.prototype.unserializeSet = function() {
+        var set = new Set();
+   
+        if (this.hasCycle) {
+            this.object_refs.set(this.ds.position - 1, set);
+        }
+        
+        var size = this.unserializeCount();
+        this.checkSize(size, 1, "maxArrayLength");
+        
+        var i = 0;
+        try {
+            while (i < size) {
+                set.add(this.unserializeComponent());
+                i += 1;
+            }
+        } catch (e) {
+            throw this.wrapError(e, i);
+        }
+        
+        return set;
+    };
+    
+    /**
+     * Unserialize the elements of a typed array, from big endian order.
+     */
+    Decoder.prototype.unserializeTypedArray = function(tag, size) {
+        var i, words, swap;
+        
+        switch (tag) {
+            case Encoder.TAG_UINT8ARRAY:
+                return this.ds.readUint8Array(size);
+            case Encoder.TAG_UINT8CLAMPEDARRAY:
+                return new Uint8ClampedArray(this.ds.readUint8Array(size).buffer);
+            case Encoder.TAG_INT8ARRAY:
+                return this.ds.readInt8Array(size);
+            case Encoder.TAG_INT16ARRAY:
+                return this.ds.readInt16Array(size, DataStream.BIG_ENDIAN);
+            case Encoder.TAG_UINT16ARRAY:
+                return this.ds.readUint16Array(size, DataStream.BIG_ENDIAN);
+            case Encoder.TAG_INT32ARRAY:
+                return this.ds.readInt32Array(size, DataStream.BIG_ENDIAN);
+            case Encoder.TAG_UINT32ARRAY:
+                return this.ds.readUint32Array(size, DataStream.BIG_ENDIAN);
+            case Encoder.TAG_FLOAT32ARRAY:
+                return this.ds.readFloat32Array(size, DataStream.BIG_ENDIAN);
+            case Encoder.TAG_FLOAT64ARRAY:
+                return this.ds.readFloat64Array(size, DataStream.BIG_ENDIAN);
+            case Encoder.TAG_BIGINT64ARRAY:
+            case Encoder.TAG_BIGUINT64ARRAY:
+                if (!TYPED_ARRAYS.has(tag)) {
+                    throw this.error("UNSUPPORTED_TYPE", "Unsupported binary type " + tag);
+                }
+                // Read high and low 32-bit words, and swap them on little endian platforms
+                words = this.ds.readUint32Array(size * 2, DataStream.BIG_ENDIAN);
+                if (DataStream.endianness === DataStream.LITTLE_ENDIAN) {
+                    for (i = 0; i < words.length; i += 2) {
+                        swap = words[i];
+                        words[i] = words[i + 1];
+                        words[i + 1] = swap;
+                    }
+                }
+                return new (TYPED_ARRAYS.get(tag))(words.buffer);
+            default:
+                throw this.error("BAD_TAG", "Unexpected tag for typed array " + tag);
+        }
+    };
+    
+    /**
+     * Unserialize the byte offset and length of a view, checking them against its buffer.
+     */
+    Decoder.prototype.unserializeView = function(buffer, elementBytes) {
+        var offset = this.unserializeCount();
+        var length = this.unserializeCount();
+        
+        if (offset % elementBytes !== 0 || offset + length * elementBytes > buffer.byteLength) {
+            throw this.error("INVALID_DATA", "Invalid binary view");
+        }
+        return [offset, length];
+    };
+    
+    /**
+     * Restore the platform byte order of the elements of a typed array on a shared ArrayBuffer
+     * (when the latter was decoded as such, rather than as the elements of a standalone typed array).
+     */
+    Decoder.prototype.swapView = function(obj) {
+        if (!this.raw_buffers.has(obj.buffer) || obj.BYTES_PER_ELEMENT === 1 || DataStream.endianness !== DataStream.LITTLE_ENDIAN) {
+            return;
+        }
+        var marks = this.raw_buffers.get(obj.buffer);
+        if (marks === undefined) {
+            marks = new Uint8Array(obj.buffer.byteLength);
+            this.raw_buffers.set(obj.buffer, marks);
+        }
+        if (!swapElements(new Uint8Array(obj.buffer), marks, obj.byteOffset, obj.length, obj.BYTES_PER_ELEMENT)) {
+            throw this.error("INVALID_DATA", "Overlapping typed arrays of different types on a shared ArrayBuffer");
+        }
+    };
+    
+    Decoder.prototype.unserializeBuffer = function() {
+        var buffer = this.unserializeComponent();
+        
+        if (ArrayBuffer.isView(buffer)) {
+            // Reference to a view restored standalone
+            buffer = buffer.buffer;
+        }
+        if (!(buffer instanceof ArrayBuffer)) {
+            throw this.error("INVALID_DATA", "Invalid binary buffer");
+        }
+        return buffer;
+    };
+    
+    Decoder.prototype.unserializeBinary = function(tag) {
+        var obj, buffer, view, size, TypedArray, refindex = this.ds.position - 1;
+        
+        if (tag === Encoder.TAG_ARRAYBUFFER) {
+            size = this.unserializeCount();
+            this.checkSize(size, 1, "maxBinaryLength");
+            obj = this.ds.readUint8Array(size).buffer;
+            this.raw_buffers.set(obj, undefined);
+        } else if (tag === Encoder.TAG_DATAVIEW) {
+            buffer = this.unserializeBuffer();
+            view = this.unserializeView(buffer, 1);
+            obj = new DataView(buffer, view[0], view[1]);
+        } else if (tag === Encoder.TAG_TYPEDARRAY_VIEW) {
+            tag = this.ds.readUint8();
+            if (!TYPED_ARRAYS.has(tag)) {
+                throw this.error("UNSUPPORTED_TYPE", "Unsupported binary type " + tag);
+            }
+            TypedArray = TYPED_ARRAYS.get(tag);
+            buffer = this.unserializeBuffer();
+            view = this.unserializeView(buffer, TypedArray.BYTES_PER_ELEMENT);
+            obj = new TypedArray(buffer, view[0], view[1]);
+            this.swapView(obj);
+        } else {
+            size = this.unserializeCount();
+            this.checkSize(size * (TYPED_ARRAYS.has(tag) ? TYPED_ARRAYS.get(tag).BYTES_PER_ELEMENT : 8), 1, "maxBinaryLength");
+            obj = this.unserializeTypedArray(tag, size);
+        }
+        
+        if (this.hasCycle) {
+            this.object_refs.set(refindex, obj);
+        }
+        return obj;
+    };
+    
+    Decoder.prototype.unserializeObjectRef = function () {
+        var refindex = this.unserializeCount();
+        var value = this.object_refs.get(refindex + this.offset);
+        
+        if (value === undefined) {
+            throw this.error("BAD_REFERENCE", "Invalid object reference " + refindex);
+        }
+        return value;
+    };
+    
+    Decoder.prototype.unserializeComponentPart = function (tag) {
+        switch (tag) {
+            case Encoder.TAG_NUMBER:
+                return this.ds.readFloat64();
+            case Encoder.TAG_INT8:
+                return this.ds.readInt8();
+            case Encoder.TAG_INT16:
+                return this.ds.readInt16();
+            case Encoder.TAG_INT32:
+                return this.ds.readInt32();
+            case Encoder.TAG_UINT8:
+                return this.ds.readUint8();
+            case Encoder.TAG_UINT16:
+                return this.ds.readUint16();
+            case Encoder.TAG_UINT32:
+                return this.ds.readUint32();
+            case Encoder.TAG_VARINT:
+                return this.unserializeVarint();
+            case Encoder.TAG_FLOAT32:
+                return this.ds.readFloat32();
+            case Encoder.TAG_DECIMAL:
+                return this.unserializeDecimal();
+            case Encoder.TAG_BIGINT:
+                return this.unserializeBigInt();
+
+            case Encoder.TAG_STRING_REF:
+                return this.unserializeString();
+            case Encoder.TAG_STRING_INLINE:
+                return this.unserializeInlineString();
+
+            case Encoder.TAG_DATE:
+                return this.unserializeDate();
+
+            case Encoder.TAG_UINT8ARRAY:
+            case Encoder.TAG_INT8ARRAY:
+            case Encoder.TAG_UINT8CLAMPEDARRAY:
+            case Encoder.TAG_INT16ARRAY:
+            case Encoder.TAG_UINT16ARRAY:
+            case Encoder.TAG_INT32ARRAY:
+            case Encoder.TAG_UINT32ARRAY:
+            case Encoder.TAG_FLOAT32ARRAY:
+            case Encoder.TAG_FLOAT64ARRAY:
+            case Encoder.TAG_BIGINT64ARRAY:
+            case Encoder.TAG_BIGUINT64ARRAY:
+            case Encoder.TAG_ARRAYBUFFER:
+            case Encoder.TAG_DATAVIEW:
+            case Encoder.TAG_TYPEDARRAY_VIEW:
+                return this.unserializeBinary(tag);
+
+            case Encoder.TAG_BOOLEAN_TRUE:
+                return true;
+            case Encoder.TAG_BOOLEAN_FALSE:
+                return false;
+            case Encoder.TAG_NULL:
+                return null;
+            case Encoder.TAG_UNDEFINED:
+                return; // Keep undefined              
+
+            case Encoder.TAG_OBJECT:
+                return this.unserializeObject();
+            case Encoder.TAG_SHAPED_OBJECT:
+                return this.unserializeShapedObject();
+            case Encoder.TAG_ARRAY:
+                return this.unserializeArray();
+            case Encoder.TAG_PACKED_ARRAY:
+                return this.unserializePackedArray();
+            case Encoder.TAG_COLUMNS:
+                return this.unserializeColumns();
+            case Encoder.TAG_MAP:
+                return this.unserializeMap();
+            case Encoder.TAG_SET:
+                return this.unserializeSet();
+            case Encoder.TAG_EXTENSION:
+                return this.unserializeExtension();
+            case Encoder.TAG_EXTENSION_VALUE:
+                return this.unserializeExtensionValue();
+            case Encoder.TAG_OBJECT_REF:
+                return this.unserializeObjectRef();
+
+            default:
+                throw this.error("BAD_TAG", "Unexpected tag " + tag);
+        }
+    };
+    
+    Decoder.prototype.unserializeComponent = function () {
+        var value;
+        
+        var tag = this.ds.readUint8();
+        this.depth += 1;
+        this.checkLimit("maxDepth", this.depth);
+        value = this.unserializeComponentPart(tag);
+        this.depth -= 1;
+        return value;
+    };
+    
+    Decoder.prototype.skipBytes = function (size) {
+        if (size > this.ds.byteLength - this.ds.position) {
+            throw this.error("TRUNCATED", "Truncated data");
+        }
+        this.ds.position += size;
+    };
+    
+    Decoder.prototype.skipVarint = function () {
+        while ((this.ds.readUint8() & 0x80) !== 0) {
+            // Skip continued bytes
+        }
+    };
+    
+    Decoder.prototype.skipItems = function (size) {
+        while (size > 0) {
+            this.skipComponent();
+            size -= 1;
+        }
+    };
+    
+    Decoder.prototype.skipProperties = function () {
+        var size = this.unserializeCount();
+        this.checkSize(size, 2, "maxArrayLength");
+        
+        while (size > 0) {
+            this.unserializeKey();
+            this.skipComponent();
+            size -= 1;
+        }
+    };
+    
+    /**
+     * Skip an encoded value without building it. Strings defined inline are nevertheless 
+     * registered, as subsequent values may refer to them.
+     */
+    Decoder.prototype.skipComponent = function () {
+        var size, tag = this.ds.readUint8();
+        
+        this.depth += 1;
+        this.checkLimit("maxDepth", this.depth);
+        switch (tag) {
+            case Encoder.TAG_BOOLEAN_TRUE:
+            case Encoder.TAG_BOOLEAN_FALSE:
+            case Encoder.TAG_NULL:
+            case Encoder.TAG_UNDEFINED:
+                break;
+            case Encoder.TAG_INT8:
+            case Encoder.TAG_UINT8:
+                this.skipBytes(1);
+                break;
+            case Encoder.TAG_INT16:
+            case Encoder.TAG_UINT16:
+                this.skipBytes(2);
+                break;
+            case Encoder.TAG_INT32:
+            case Encoder.TAG_UINT32:
+                this.skipBytes(4);
+                break;
+            case Encoder.TAG_NUMBER:
+            case Encoder.TAG_DATE:
+                this.skipBytes(8);
+                break;
+            case Encoder.TAG_FLOAT32:
+                this.skipBytes(4);
+                break;
+            case Encoder.TAG_VARINT:
+            case Encoder.TAG_DECIMAL:
+            case Encoder.TAG_BIGINT:
+                this.skipVarint();
+                break;
             case Encoder.TAG_STRING_REF:
-                return this.unserializeString();
+            case Encoder.TAG_OBJECT_REF:
+                this.unserializeCount();
+                break;
+            case Encoder.TAG_STRING_INLINE:
+                this.unserializeInlineString();
+                break;
 
-            case Encoder.TAG_DATE:
-                return this.unserializeDate();
+            case Encoder.TAG_OBJECT:
+                this.skipProperties();
+                break;
+            case Encoder.TAG_SHAPED_OBJECT:
+                this.skipItems(this.unserializeShape().length);
+                break;
+            case Encoder.TAG_COLUMNS:
+                this.skipColumns();
+                break;
+            case Encoder.TAG_ARRAY:
+            case Encoder.TAG_SET:
+                size = this.unserializeCount();
+                this.checkSize(size, 1, "maxArrayLength");
+                this.skipItems(size);
+                break;
+            case Encoder.TAG_PACKED_ARRAY:
+                tag = this.unserializePackedType();
+                this.skipBytes(this.unserializeCount() * TYPED_ARRAYS.get(tag).BYTES_PER_ELEMENT);
+                break;
+            case Encoder.TAG_MAP:
+                size = this.unserializeCount();
+                this.checkSize(size, 2, "maxArrayLength");
+                this.skipItems(2 * size);
+                break;
+            case Encoder.TAG_EXTENSION:
+                this.skipComponent();
+                this.skipProperties();
+                break;
+            case Encoder.TAG_EXTENSION_VALUE:
+                this.skipItems(2);
+                break;
 
-            case Encoder.TAG_UINT8ARRAY:
+            case Encoder.TAG_ARRAYBUFFER:
+                this.skipBytes(this.unserializeCount());
+                break;
+            case Encoder.TAG_TYPEDARRAY_VIEW:
+                this.ds.readUint8();
+                // Falls through
+            case Encoder.TAG_DATAVIEW:
+                this.skipComponent();
+                this.unserializeCount();
+                this.unserializeCount();
+                break;
+            default:
+                if (tag < Encoder.TAG_UINT8ARRAY || tag > Encoder.TAG_BIGUINT64ARRAY) {
+                    throw this.error("BAD_TAG", "Unexpected tag " + tag);
+                }
                 size = this.unserializeCount();
-                return this.ds.readUint8Array(size);                
+                this.skipBytes(size * (TYPED_ARRAYS.has(tag) ? TYPED_ARRAYS.get(tag).BYTES_PER_ELEMENT : 8));
+        }
+        this.depth -= 1;
+    };
 
-            case Encoder.TAG_BOOLEAN_TRUE:
-                return true;
-            case Encoder.TAG_BOOLEAN_FALSE:
-                return false;
-            case Encoder.TAG_NULL:
-                return null;
-            case Encoder.TAG_UNDEFINED:
-                return; // Keep undefined              
+    /**
+     * Check the identifier of the dictionary the data were encoded with, and register
+     * its property names and strings.
+     */
+    Decoder.prototype.unserializeDictionaryId = function () {
+        var id = this.ds.readUint32();
+        if (this.dictionary === undefined) {
+            throw this.error("DICTIONARY_MISMATCH", "Dictionary " + id + " required");
+        }
+        if (this.dictionary.id !== id) {
+            throw this.error("DICTIONARY_MISMATCH", "Dictionary " + id + " required, not " + this.dictionary.id);
+        }
+        this.dictionary.keys.forEach(function(key, index) { this.string_keys.set(index, key); }, this);
+        this.dictionary.strings.forEach(function(string, index) { this.string_refs.set(index, string); }, this);
+    };
+    
+    /**
+     * Unserialize the signature algorithm, and separate the signature from the signed data
+     * (the decoding going on without it).
+     */
+    Decoder.prototype.unserializeSignature = function () {
+        var id = this.unserializeCount();
+        var algorithm = SIGNATURES.get(id);
+        if (algorithm === undefined) {
+            throw this.error("INVALID_DATA", "Unsupported signature algorithm " + id);
+        }
+        if (this.verify && this.verify.algorithm !== undefined && this.verify.algorithm !== algorithm) {
+            throw this.error("BAD_SIGNATURE", "Signature algorithm " + algorithm.name + ", not " + this.verify.algorithm.name);
+        }
+        if (this.verify) {
+            this.verify = { algorithm: algorithm, key: this.verify.key };
+        }
+        
+        var end = this.ds.byteLength - algorithm.size;
+        if (end < this.ds.position) {
+            throw this.error("TRUNCATED", "Truncated data");
+        }
+        var buffer = this.ds.dataView.buffer, offset = this.ds.byteOffset, position = this.ds.position;
+        this.signature = {
+            algorithm: algorithm,
+            data: new Uint8Array(buffer, offset, end),
+            mac: new Uint8Array(buffer, offset + end, algorithm.size)
+        };
+        this.ds = new ReadStream(new DataView(buffer, offset, end));
+        this.ds.position = position;
+    };
+    
+    /**
+     * Unserialize the first byte (major version and options), and the minor version and the
+     * features (extended options) in version 2, or the extended options if any in version 1.
+     *
+     * @return {number} First byte
+     */
+    Decoder.prototype.unserializeVersion = function () {
+        var version = this.ds.readUint8();
+        this.major = version & 0x0F;
+        if (this.major > MAJOR_VERSION) {
+            throw this.error("VERSION_TOO_NEW", "Major version mistmatch");
+        }
+        
+        this.minor = 0;
+        this.extensions = 0;
+        this.precision = undefined;
+        this.signature = undefined;
+        this.encryption = undefined;
+        this.checksum = undefined;
+        if (this.major >= 2) {
+            // Newer minor versions are supported, as long as their features are known
+            if (version & Encoder.OPTION_EXTENDED) {
+                throw this.error("INVALID_DATA", "Unexpected extended options flag");
+            }
+            this.minor = this.ds.readUint8();
+            this.extensions = this.unserializeCount();
+        } else if (version & Encoder.OPTION_EXTENDED) {
+            this.extensions = this.unserializeCount();
+        }
+        
+        if (this.extensions & ~(Encoder.EXT_SEQUENCE | Encoder.EXT_FLOAT32 | Encoder.EXT_DECIMALS | Encoder.EXT_SHAPES | Encoder.EXT_COMPRESSED | Encoder.EXT_DICTIONARY | Encoder.EXT_SIGNED | Encoder.EXT_ENCRYPTED | Encoder.EXT_CHECKSUM)) {
+            throw this.error("INVALID_DATA", "Unsupported options " + this.extensions);
+        }
+        if (this.extensions & Encoder.EXT_FLOAT32) {
+            this.precision = "float32";
+        } else if (this.extensions & Encoder.EXT_DECIMALS) {
+            this.precision = this.unserializeCount();
+        }
+        if (this.extensions & Encoder.EXT_DICTIONARY) {
+            this.unserializeDictionaryId();
+        }
+        if (this.extensions & Encoder.EXT_SIGNED) {
+            this.unserializeSignature();
+        }
+        if (this.extensions & Encoder.EXT_ENCRYPTED) {
+            this.encryption = { keyId: this.unserializeCount(), nonce: this.ds.readUint8Array(NONCE_SIZE) };
+        }
+        if (this.extensions & Encoder.EXT_CHECKSUM) {
+            var id = this.ds.readUint8();
+            this.checksum = { algorithm: CHECKSUMS.get(id) };
+            if (this.checksum.algorithm === undefined) {
+                throw this.error("INVALID_DATA", "Unsupported checksum algorithm " + id);
+            }
+        }
+        
+        if (this.encryption) {
+            // The header is authenticated with the encrypted data
+            this.encryption.headerSize = this.ds.position;
+        }
+        
+        if (this.verify && this.signature === undefined) {
+            throw this.error("BAD_SIGNATURE", "Unsigned data");
+        }
+        if (this.decryption && this.encryption === undefined) {
+            throw this.error("DECRYPTION_FAILED", "Unencrypted data");
+        }
+        return version;
+    };
+    
+    /**
+     * Get the decryption key, the associated data and the encrypted data.
+     */
+    Decoder.prototype.getEncrypted = function () {
+        var keyId = this.encryption.keyId;
+        var key = (this.decryption === undefined) ? undefined
+            : (typeof this.decryption.key === "function") ? this.decryption.key(keyId) : this.decryption.key;
+        if (key === undefined || key === null) {
+            throw this.error("DECRYPTION_FAILED", "Encrypted data, key " + keyId + " required");
+        }
+        
+        var buffer = this.ds.dataView.buffer, offset = this.ds.byteOffset, headerSize = this.encryption.headerSize;
+        return {
+            key: key,
+            aad: getAssociatedData(new Uint8Array(buffer, offset, headerSize), this.decryption.additionalData),
+            data: new Uint8Array(buffer, offset + headerSize, this.ds.byteLength - headerSize)
+        };
+    };
+    
+    /**
+     * Go on decoding with the decrypted data.
+     */
+    Decoder.prototype.setDecrypted = function (data) {
+        this.decrypted = data;
+        this.ds = new ReadStream(data.buffer);
+    };
+    
+    /**
+     * Decrypt the data, synchronously, and go on decoding with the decrypted data.
+     */
+    Decoder.prototype.decryptData = function () {
+        var encrypted = this.getEncrypted();
+        this.setDecrypted(decrypt(encrypted.key, this.encryption.nonce, encrypted.aad, encrypted.data));
+    };
+    
+    /**
+     * Check the signature against the verification key, synchronously.
+     */
+    Decoder.prototype.checkSignature = function () {
+        if (!equalSignatures(sign(this.verify, this.signature.data), this.signature.mac)) {
+            throw this.error("BAD_SIGNATURE", "Signature mismatch");
+        }
+    };
+    
+    Decoder.prototype.unserializeTOS = function () {
+        var version = this.unserializeVersion();
+        if (this.verify) {
+            this.checkSignature();
+        }
+        if (this.encryption) {
+            this.decryptData();
+        }
+        this.unserializeTables(version);
+    };
+    
+    /**
+     * Unserialize what follows the extended options: the tables of strings (and shapes), 
+     * with the CRC32 if any, after uncompressing the data if needed.
+     */
+    Decoder.prototype.unserializeTables = function (version) {
+        var size, i, s;
+        
+        if (this.extensions & Encoder.EXT_COMPRESSED) {
+            // Decoding goes on with the uncompressed data
+            size = this.unserializeCount();
+            this.checkSize(size, 1 / LZ_MAX_RATIO, "maxBytes");
+            var data = lzDecompress(this.ds.readUint8Array(this.ds.byteLength - this.ds.position), size);
+            this.ds = new ReadStream(data.buffer);
+        }
+        
+        this.unserializeChecks(version);
+        if (this.inline) {
+            return;
+        }
+        
+        // Key references (following those of the dictionary, if any)
+        var base = this.string_keys.size;
+        size = this.unserializeCount();
+        this.checkSize(size, 1, "maxStringTableSize");
+        for (i = 0; i < size; i += 1) {
+            s = this.unserializeCString();
+            this.string_keys.set(base + i, s);
+        }
+        
+        // Shapes
+        if (this.extensions & Encoder.EXT_SHAPES) {
+            size = this.unserializeCount();
+            this.checkSize(size, 1, "maxStringTableSize");
+            for (i = 0; i < size; i += 1) {
+                this.shapes.push(this.unserializeShapeKeys());
+            }
+        }
+        
+        // String references (following those of the dictionary, if any)
+        base = this.string_refs.size;
+        size = this.unserializeCount();
+        this.checkSize(size, 1, "maxStringTableSize");
+        for (i = 0; i < size; i += 1) {
+            s = this.unserializeCString();
+            this.string_refs.set(base + i, s);
+        }
+    };
+    
+    /**
+     * Unserialize what precedes the tables of strings: the CRC32 or the checksum (if any), and
+     * the absence of cycles, or whether strings are defined inline.
+     */
+    Decoder.prototype.unserializeChecks = function (version) {
+        if (version & Encoder.OPTION_INLINE) {
+            // No tables of strings, and CRC32 (if any) after the encoded objects
+            if (this.checksum) {
+                throw this.error("INVALID_DATA", "Unexpected checksum of the whole data");
+            }
+            this.inline = true;
+            this.hasCRC = (version & Encoder.OPTION_CRC32) !== 0;
+            return;
+        }
+        
+        if (version & Encoder.OPTION_CRC32) {
+            this.crc = this.ds.readUint32();
+        } else if (this.checksum) {
+            this.checksum.value = this.ds.readUint32();
+            this.checksum.offset = this.ds.position;
+        }
+        
+        if (version & Encoder.OPTION_NOCYCLE) {
+            this.hasCycle = false;
+        }
+    };
+    
+    /**
+     * Check the checksum of the whole data (if any), and the CRC32 (if any) of the encoded 
+     * objects, up to the given length (by default, up to the end of the data).
+     */
+    Decoder.prototype.checkCRC = function (length) {
+        var checksum = this.checksum;
+        if (checksum !== undefined && checksum.offset !== undefined) {
+            var data = new Uint8Array(this.ds.dataView.buffer, this.ds.byteOffset + checksum.offset, this.ds.byteLength - checksum.offset);
+            if (checksum.algorithm.compute(data) !== checksum.value) {
+                throw this.error("CRC_MISMATCH", "Checksum mismatch (" + checksum.algorithm.name + ")");
+            }
+        }
+        if (this.crc !== undefined) {
+            var offset = this.ds.position;
+            var raw = this.ds.readUint8Array(length);
+            var new_crc = crc32(raw);
+            if (new_crc !== this.crc) {
+                throw this.error("CRC_MISMATCH", "CRC32 checksum mistmach");
+            }
+            // Reset position in buffer
+            this.ds.position = offset;
+        }
+    };
 
+    /**
+     * Unserialize the top-level value, and check the trailing CRC32 if any.
+     */
+    Decoder.prototype.unserializeBody = function () {
+        var value, holder, end;
+        
+        this.offset = this.ds.position;
+        if (this.reviver) {
+            holder = {};
+            this.unserializeMember(holder, "");
+            value = holder[""];
+        } else {
+            value = this.unserializeComponent(); 
+        }
+        
+        if (this.inline && this.hasCRC) {
+            end = this.ds.position;
+            this.crc = this.ds.readUint32();
+            this.ds.position = this.offset;
+            this.checkCRC(end - this.offset);
+            this.ds.position = end + 4;
+        }
+        return value;
+    };
+    
+    /**
+     * Unserialize the top-level value, once the tables of strings are known.
+     */
+    Decoder.prototype.unserializeValue = function () {
+        if (this.extensions & Encoder.EXT_SEQUENCE) {
+            throw this.error("INVALID_DATA", "Sequence of values, to be decoded as such");
+        }
+        this.checkCRC();
+        return this.unserializeBody();
+    };
+    
+    Decoder.prototype.decode = function (options) {
+        try {
+            this.setOptions(options);
+            this.unserializeTOS();
+            return this.unserializeValue();
+        } catch (e) {
+            throw this.wrapError(e);
+        }
+    };
+    
+    /**
+     * Decode, with the signature (if any) checked and the data decrypted asynchronously.
+     *
+     * @return {Promise} Promise resolving to the decoded value
+     */
+    Decoder.prototype.decodeAsync = function (options) {
+        var self = this, version;
+        
+        return new Promise(function(resolve) {
+            self.setOptions(options);
+            version = self.unserializeVersion();
+            resolve(self.verify ? signAsync(self.verify, self.signature.data) : undefined);
+        }).then(function(mac) {
+            if (mac !== undefined && !equalSignatures(mac, self.signature.mac)) {
+                throw self.error("BAD_SIGNATURE", "Signature mismatch");
+            }
+            if (self.encryption) {
+                var encrypted = self.getEncrypted();
+                return decryptAsync(encrypted.key, self.encryption.nonce, encrypted.aad, encrypted.data).then(function(data) {
+                    self.setDecrypted(data);
+                });
+            }
+        }).then(function() {
+            self.unserializeTables(version);
+            return self.unserializeValue();
+        }).catch(function(e) {
+            throw self.wrapError(e);
+        });
+    };
+    
+    /**
+     * Sequence decoder, decoding the records of a sequence one after the other.
+     *
+     * @constructor
+     * @param {ArrayBuffer|Uint8Array} arrayBuffer Encoded sequence
+     * @param {Object} options Decoding options
+     */
+    var SequenceDecoder = function (arrayBuffer, options) {
+        Decoder.call(this, arrayBuffer);
+        try {
+            this.setOptions(options);
+            if (this.ds.byteLength > 0 && this.ds.readUint8() !== 0) {
+                // No leading restart marker (as when the sequence was started with the append option)
+                this.ds.position = 0;
+            }
+            this.unserializeHeader();
+        } catch (e) {
+            throw this.wrapError(e);
+        }
+    };
+    SequenceDecoder.prototype = Object.create(Decoder.prototype);
+    SequenceDecoder.prototype.constructor = SequenceDecoder;
+    
+    SequenceDecoder.prototype.unserializeHeader = function () {
+        this.unserializeTOS();
+        if (!(this.extensions & Encoder.EXT_SEQUENCE) || (this.extensions & (Encoder.EXT_COMPRESSED | Encoder.EXT_SIGNED | Encoder.EXT_ENCRYPTED))) {
+            throw this.error("INVALID_DATA", "Not a sequence of values");
+        }
+    };
+    
+    /**
+     * Decode the next record.
+     *
+     * @return {Object} Iterator result, with done and value properties
+     */
+    SequenceDecoder.prototype.next = function () {
+        try {
+            return this.nextRecord();
+        } catch (e) {
+            throw this.wrapError(e);
+        }
+    };
+    
+    SequenceDecoder.prototype.nextRecord = function () {
+        var size = 0, start;
+        
+        while (size === 0) {
+            if (this.ds.isEof()) {
+                return { done: true, value: undefined };
+            }
+            size = this.unserializeCount();
+            if (size === 0) {
+                // Restart marker
+                this.string_keys = new Map();
+                this.string_refs = new Map();
+                this.shapes = [];
+                this.unserializeHeader();
+            }
+        }
+        
+        start = this.ds.position;
+        this.object_refs = new Map();
+        this.raw_buffers = new Map();
+        var value = this.unserializeBody();
+        if (this.ds.position !== start + size + (this.hasCRC ? 4 : 0)) {
+            throw this.error("INVALID_DATA", "Invalid record size " + size);
+        }
+        return { done: false, value: value };
+    };
+    
+    SequenceDecoder.prototype[Symbol.iterator] = function () {
+        return this;
+    };
+    
+    /**
+     * Lazy decoder, returning read-only proxies on objects and arrays, which decode their 
+     * members only when accessed.
+     *
+     * Encoded values are skipped when scanning an object or an array, so that only the 
+     * position of its members is recorded. Other values (e.g. Maps and Sets) are decoded when 
+     * accessed, and object references are resolved by decoding the referred value on demand.
+     * All values are cached by position, so that each of them is built once.
+     *
+     * @constructor
+     * @param {ArrayBuffer|Uint8Array} arrayBuffer Encoded data
+     */
+    var ViewDecoder = function (arrayBuffer) {
+        Decoder.call(this, arrayBuffer);
+        this.ends = new Map(); // End position of cached values
+        this.pending = new Set(); // Positions of references being resolved
+    };
+    ViewDecoder.prototype = Object.create(Decoder.prototype);
+    ViewDecoder.prototype.constructor = ViewDecoder;
+    
+    ViewDecoder.prototype.view = function (options) {
+        var end;
+        
+        try {
+            if (options && options.reviver) {
+                throw new JSBONError("INVALID_ARGUMENT", "Reviver not supported in views");
+            }
+            this.setOptions(options);
+            this.unserializeTOS();
+            if (this.extensions & Encoder.EXT_SEQUENCE) {
+                throw this.error("INVALID_DATA", "Sequence of values, to be decoded as such");
+            }
+            this.checkCRC();
+            this.hasCycle = true; // Cache all values, even without references
+            this.offset = this.ds.position;
+            
+            if (this.inline) {
+                // Scan once to register strings defined inline, as members may be accessed in any order
+                this.skipComponent();
+                if (this.hasCRC) {
+                    end = this.ds.position;
+                    this.crc = this.ds.readUint32();
+                    this.ds.position = this.offset;
+                    this.checkCRC(end - this.offset);
+                }
+                this.tablesComplete = true;
+            }
+            return this.valueAt(this.offset);
+        } catch (e) {
+            throw this.wrapError(e);
+        }
+    };
+    
+    /**
+     * Decode the value at the given position.
+     */
+    ViewDecoder.prototype.valueAt = function (position) {
+        var saved = this.ds.position;
+        
+        this.ds.position = position;
+        try {
+            return this.unserializeComponent();
+        } catch (e) {
+            throw this.wrapError(e);
+        } finally {
+            this.ds.position = saved;
+        }
+    };
+    
+    ViewDecoder.prototype.unserializeComponent = function () {
+        var position = this.ds.position;
+        var end = this.ends.get(position);
+        
+        if (end !== undefined) {
+            this.ds.position = end;
+            return this.object_refs.get(position);
+        }
+        
+        var value = Decoder.prototype.unserializeComponent.call(this);
+        if (this.object_refs.has(position)) {
+            this.ends.set(position, this.ds.position);
+        }
+        return value;
+    };
+    
+    ViewDecoder.prototype.unserializeObjectRef = function () {
+        var start = this.ds.position - 1;
+        var refindex = this.unserializeCount();
+        var position = refindex + this.offset;
+        var value = this.object_refs.get(position);
+        
+        if (value === undefined) {
+            // Not accessed yet: references always point backwards
+            if (position >= start || this.pending.has(position)) {
+                throw this.error("BAD_REFERENCE", "Invalid object reference " + refindex);
+            }
+            if (this.findColumns(position) !== undefined) {
+                // Record of an array encoded by columns, registered once the latter is decoded
+                this.valueAt(this.findColumns(position));
+                return this.object_refs.get(position);
+            }
+            this.pending.add(position);
+            try {
+                value = this.valueAt(position);
+            } finally {
+                this.pending.delete(position);
+            }
+        }
+        return value;
+    };
+    
+    /**
+     * Record the position of a member, and skip it.
+     */
+    ViewDecoder.prototype.skipMember = function (members, key) {
+        members.set(key, this.ds.position);
+        try {
+            this.skipComponent();
+        } catch (e) {
+            throw this.wrapError(e, key);
+        }
+    };
+    
+    ViewDecoder.prototype.createObjectView = function (position, members) {
+        var obj = this.createView(this.nullPrototype ? Object.create(null) : {}, 
+            function (key) { return members.get(key); },
+            function () { return Array.from(members.keys()); });
+        this.object_refs.set(position, obj);
+        return obj;
+    };
+    
+    ViewDecoder.prototype.unserializeObject = function () {
+        var position = this.ds.position - 1;
+        var members = new Map();
+        
+        var size = this.unserializeCount();
+        this.checkSize(size, 2, "maxArrayLength");
+        while (size > 0) {
+            this.skipMember(members, this.unserializeKey());
+            size -= 1;
+        }
+        return this.createObjectView(position, members);
+    };
+    
+    ViewDecoder.prototype.unserializeShapedObject = function () {
+        var position = this.ds.position - 1;
+        var members = new Map();
+        
+        this.unserializeShape().forEach(function (key) {
+            this.skipMember(members, key);
+        }, this);
+        return this.createObjectView(position, members);
+    };
+    
+    ViewDecoder.prototype.unserializeArray = function () {
+        var position = this.ds.position - 1;
+        var i = 0;
+        
+        var size = this.unserializeCount();
+        this.checkSize(size, 1, "maxArrayLength");
+        var positions = new Array(size);
+        try {
+            while (i < size) {
+                positions[i] = this.ds.position;
+                this.skipComponent();
+                i += 1;
+            }
+        } catch (e) {
+            throw this.wrapError(e, i);
+        }
+        
+        var target = [];
+        target.length = size;
+        var arr = this.createView(target, 
+            function (key) {
+                var index = (typeof key === "string") ? Number(key) : NaN;
+                return (index < size && String(index) === key) ? positions[index] : undefined;
+            },
+            function () { return Object.keys(positions).concat("length"); });
+        this.object_refs.set(position, arr);
+        return arr;
+    };
+    
+    /**
+     * Create a read-only proxy on the given target, with members decoded at the positions 
+     * returned by the given function.
+     */
+    ViewDecoder.prototype.createView = function (target, positionOf, keys) {
+        var self = this;
+        var readOnly = function () { return false; };
+        
+        return new Proxy(target, {
+            get: function (target, key, receiver) {
+                var position = positionOf(key);
+                return (position !== undefined) ? self.valueAt(position) : Reflect.get(target, key, receiver);
+            },
+            has: function (target, key) {
+                return positionOf(key) !== undefined || Reflect.has(target, key);
+            },
+            ownKeys: keys,
+            getOwnPropertyDescriptor: function (target, key) {
+                var position = positionOf(key);
+                if (position === undefined) {
+                    return Reflect.getOwnPropertyDescriptor(target, key);
+                }
+                return { value: self.valueAt(position), writable: false, enumerable: true, configurable: true };
+            },
+            set: readOnly,
+            defineProperty: readOnly,
+            deleteProperty: readOnly,
+            setPrototypeOf: readOnly,
+            preventExtensions: readOnly
+        });
+    };
+    
+    /**
+     * Path decoder, extracting the values at a given path, walking through the encoded data 
+     * and skipping the values which are not on the path, so that only the requested values 
+     * are decoded.
+     *
+     * @constructor
+     * @param {ArrayBuffer|Uint8Array} arrayBuffer Encoded data
+     */
+    var PathDecoder = function (arrayBuffer) {
+        Decoder.call(this, arrayBuffer);
+        this.pending = new Set(); // Positions of references being resolved
+    };
+    PathDecoder.prototype = Object.create(Decoder.prototype);
+    PathDecoder.prototype.constructor = PathDecoder;
+    
+    // The values outside the path are not decoded, so references are resolved on demand, as in views
+    PathDecoder.prototype.valueAt = ViewDecoder.prototype.valueAt;
+    PathDecoder.prototype.unserializeObjectRef = ViewDecoder.prototype.unserializeObjectRef;
+    
+    // Path segment matching all members (distinct from any property name or Map key)
+    PathDecoder.WILDCARD = Symbol("*");
+    
+    /**
+     * Parse a path given as a string, with "/" separating names or indices ("~1" and "~0" 
+     * escaping "/" and "~" as in JSON pointers), and "*" for the wildcard ("~2" escaping
+     * a "*" name).
+     */
+    PathDecoder.parsePath = function (path) {
+        if (typeof path !== "string") {
+            return path;
+        }
+        if (path === "" || path === "/") {
+            return [];
+        }
+        return path.replace(/^\//, "").split("/").map(function (segment) {
+            if (segment === "*") {
+                return PathDecoder.WILDCARD;
+            }
+            return segment.replace(/~2/g, "*").replace(/~1/g, "/").replace(/~0/g, "~");
+        });
+    };
+    
+    /**
+     * Get the value at the given path.
+     *
+     * @param {Array|string} path Property names, indices and Map keys, possibly with wildcards
+     * @param {Object} options Decoding options
+     * @return {*} Value at the path (undefined if none), or array of values with wildcards
+     */
+    PathDecoder.prototype.get = function (path, options) {
+        var end, results = [];
+        
+        path = PathDecoder.parsePath(path);
+        if (!Array.isArray(path)) {
+            throw new JSBONError("INVALID_ARGUMENT", "Invalid path");
+        }
+        try {
+            if (options && options.reviver) {
+                throw new JSBONError("INVALID_ARGUMENT", "Reviver not supported in path queries");
+            }
+            this.setOptions(options);
+            this.unserializeTOS();
+            if (this.extensions & Encoder.EXT_SEQUENCE) {
+                throw this.error("INVALID_DATA", "Sequence of values, to be decoded as such");
+            }
+            this.checkCRC();
+            this.hasCycle = true; // Register decoded values, for references within them
+            this.offset = this.ds.position;
+            
+            if (this.inline) {
+                // Scan once to register strings defined inline, as references may lead backwards
+                this.skipComponent();
+                if (this.hasCRC) {
+                    end = this.ds.position;
+                    this.crc = this.ds.readUint32();
+                    this.ds.position = this.offset;
+                    this.checkCRC(end - this.offset);
+                }
+                this.tablesComplete = true;
+                this.ds.position = this.offset;
+            }
+            this.walk(path, 0, results);
+        } catch (e) {
+            throw this.wrapError(e);
+        }
+        return (path.indexOf(PathDecoder.WILDCARD) === -1) ? results[0] : results;
+    };
+    
+    /**
+     * Select the values at the path, from the given index, in an already decoded value.
+     */
+    PathDecoder.prototype.select = function (value, path, index, results) {
+        if (index === path.length) {
+            results.push(value);
+            return;
+        }
+        
+        var segment = path[index];
+        if (value instanceof Map) {
+            value.forEach(function (member, key) {
+                if (segment === PathDecoder.WILDCARD || key === segment) {
+                    this.select(member, path, index + 1, results);
+                }
+            }, this);
+        } else if (value !== null && typeof value === "object" && !ArrayBuffer.isView(value)) {
+            if (segment === PathDecoder.WILDCARD) {
+                Object.keys(value).forEach(function (key) {
+                    this.select(value[key], path, index + 1, results);
+                }, this);
+            } else if (Object.prototype.propertyIsEnumerable.call(value, String(segment))) {
+                this.select(value[String(segment)], path, index + 1, results);
+            }
+        }
+    };
+    
+    PathDecoder.prototype.walkProperties = function (path, index, results, size, keys) {
+        var segment = path[index], i, key, start;
+        var wildcard = (segment === PathDecoder.WILDCARD);
+        
+        for (i = 0; i < size; i += 1) {
+            key = keys ? keys[i] : this.unserializeKey();
+            if (wildcard || key === String(segment)) {
+                start = this.ds.position;
+                this.walk(path, index + 1, results);
+                if (!wildcard) {
+                    return;
+                }
+                this.ds.position = start;
+            }
+            this.skipComponent();
+        }
+    };
+    
+    /**
+     * Walk the value at the current position, along the path from the given index, and collect 
+     * the values found.
+     */
+    PathDecoder.prototype.walk = function (path, index, results) {
+        if (index === path.length) {
+            results.push(this.unserializeComponent());
+            return;
+        }
+        
+        var segment = path[index], size, start, key, values, i;
+        var wildcard = (segment === PathDecoder.WILDCARD);
+        var tag = this.ds.readUint8();
+        
+        this.depth += 1;
+        this.checkLimit("maxDepth", this.depth);
+        switch (tag) {
+            case Encoder.TAG_OBJECT_REF:
+                start = this.ds.position - 1;
+                i = this.unserializeCount();
+                if (i + this.offset >= start) {
+                    // References always point backwards
+                    throw this.error("BAD_REFERENCE", "Invalid object reference " + i);
+                }
+                if (this.object_refs.has(i + this.offset) || this.findColumns(i + this.offset) !== undefined) {
+                    // Already decoded, or record of an array encoded by columns
+                    this.ds.position = start;
+                    this.select(this.unserializeComponent(), path, index, results);
+                    break;
+                }
+                this.ds.position = i + this.offset;
+                this.walk(path, index, results);
+                break;
+            case Encoder.TAG_COLUMNS:
+                this.select(this.unserializeColumns(), path, index, results);
+                break;
+            case Encoder.TAG_EXTENSION:
+                this.skipComponent();
+                // Falls through
             case Encoder.TAG_OBJECT:
-                return this.unserializeObject();
+                size = this.unserializeCount();
+                this.checkSize(size, 2, "maxArrayLength");
+                this.walkProperties(path, index, results, size);
+                break;
+            case Encoder.TAG_SHAPED_OBJECT:
+                values = this.unserializeShape();
+                this.walkProperties(path, index, results, values.length, values);
+                break;
             case Encoder.TAG_ARRAY:
-                return this.unserializeArray();
-            case Encoder.TAG_OBJECT_REF:
-                refindex = this.object_refs.get(this.unserializeCount() + this.offset);
-                if (refindex !== undefined) {
-                    return refindex;
-                } 
-                throw new Error("Invalid object reference " + refindex);
-
+                size = this.unserializeCount();
+                this.checkSize(size, 1, "maxArrayLength");
+                i = wildcard ? 0 : Number(segment);
+                if (!Number.isInteger(i) || i < 0 || i >= size) {
+                    break;
+                }
+                this.skipItems(i);
+                while (i < size) {
+                    start = this.ds.position;
+                    this.walk(path, index + 1, results);
+                    if (!wildcard) {
+                        break;
+                    }
+                    this.ds.position = start;
+                    this.skipComponent();
+                    i += 1;
+                }
+                break;
+            case Encoder.TAG_PACKED_ARRAY:
+                this.select(this.unserializePackedArray(), path, index, results);
+                break;
+            case Encoder.TAG_MAP:
+                size = this.unserializeCount();
+                this.checkSize(size, 2, "maxArrayLength");
+                while (size > 0) {
+                    key = this.unserializeComponent();
+                    if (wildcard || key === segment) {
+                        start = this.ds.position;
+                        this.walk(path, index + 1, results);
+                        if (!wildcard) {
+                            break;
+                        }
+                        this.ds.position = start;
+                    }
+                    this.skipComponent();
+                    size -= 1;
+                }
+                break;
             default:
-                throw new Error("Unexpected tag " + tag);
+                // Not a container: nothing found
         }
+        this.depth -= 1;
     };
     
-    Decoder.prototype.unserializeComponent = function () {
-        var value, size, refindex;
+    /**
+     * Incremental decoder, accepting data in chunks as they arrive.
+     *
+     * The received data are decoded as far as they go, and decoding resumes from the last 
+     * complete part (header, entry of a table of strings, or component of the encoded value) 
+     * once more data are received: the tables of strings are available as soon as they are 
+     * received, and the encoded value is scanned once, then decoded when complete. Compressed, 
+     * signed or encrypted data can only be decoded as a whole, at the end of data.
+     *
+     * @constructor
+     * @param {Object} options Decoding options
+     */
+    var StreamDecoder = function (options) {
+        if (options && options.verify) {
+            throw new JSBONError("INVALID_ARGUMENT", "Signatures cannot be checked when streaming");
+        }
+        if (options && options.decrypt) {
+            throw new JSBONError("INVALID_ARGUMENT", "Encrypted data cannot be decoded when streaming");
+        }
+        this.ds = new DataStream(); // Received data
+        this.ds.position = 0;
+        this.options = options;
+        this.decoder = new Decoder(new ArrayBuffer(0)); // Decoder state, kept between attempts
+        this.decoder.setOptions(options);
+        this.resume = 0; // Offset at which decoding resumes
+        this.next_attempt = 0; // Received size at which decoding is next attempted
+        this.whole = false; // Whether data can only be decoded as a whole
+        this.tables = undefined; // Tables of strings (and shapes) not yet complete
+        this.frames = undefined; // Containers being scanned, with their number of remaining components
+        this.offset = undefined; // Offset of the encoded value
+        this.state = StreamDecoder.STATE_HEADER;
+        this.keys = undefined; // Property names, once received
+        this.strings = undefined; // Other strings, once received
+        this.value = undefined; // Decoded value, once complete
+    };
+    
+    // - Decoding states
+    StreamDecoder.STATE_HEADER   = "header"; // Header or tables of strings not yet complete
+    StreamDecoder.STATE_BODY     = "body"; // Tables of strings received, encoded value not yet complete
+    StreamDecoder.STATE_COMPLETE = "complete"; // Decoded value available
+    
+    // Size of incomplete data below which decoding is attempted again on each chunk
+    StreamDecoder.RETRY_SIZE = 256;
+    
+    /**
+     * Resume decoding with the received data. On truncated data, decoding is merely retried 
+     * later: once the data received since the last complete part have doubled (if they 
+     * exceed RETRY_SIZE), so that the overall cost remains linear.
+     */
+    StreamDecoder.prototype.attempt = function () {
+        var u = this.decoder;
         
-        var tag = this.ds.readUint8();
-        return this.unserializeComponentPart(tag);
+        u.ds = new ReadStream(new DataView(this.ds.dataView.buffer, 0, this.ds.position));
+        u.ds.position = this.resume;
+        try {
+            if (this.state === StreamDecoder.STATE_HEADER) {
+                this.unserializeHeader();
+                if (this.whole) {
+                    return false;
+                }
+            }
+            this.scanBody();
+        } catch (e) {
+            e = u.wrapError(e);
+            if (e.code === "TRUNCATED") {
+                var pending = this.ds.position - this.resume;
+                this.next_attempt = this.ds.position + ((pending > StreamDecoder.RETRY_SIZE) ? pending : 0);
+                return false;
+            }
+            throw e;
+        }
+        
+        // Complete value: decoded in one go
+        try {
+            u.ds.position = this.offset;
+            u.depth = 0;
+            u.tablesComplete = true;
+            this.value = u.unserializeValue();
+        } catch (e) {
+            throw u.wrapError(e);
+        }
+        this.state = StreamDecoder.STATE_COMPLETE;
+        return true;
     };
-
-    Decoder.prototype.unserializeTOS = function () {
-        var size, i, s;
+    
+    /**
+     * Unserialize the header, then the tables of strings entry by entry.
+     */
+    StreamDecoder.prototype.unserializeHeader = function () {
+        var u = this.decoder, table, size;
         
-        var crc, version = this.ds.readUint8();
-        if ((version & 0x0F) > MAJOR_VERSION) {
-            throw new Error("Major version mistmatch");
+        if (this.tables === undefined) {
+            var version = u.unserializeVersion();
+            if (u.extensions & Encoder.EXT_SEQUENCE) {
+                throw u.error("INVALID_DATA", "Sequence of values, to be decoded as such");
+            }
+            if (u.extensions & (Encoder.EXT_COMPRESSED | Encoder.EXT_SIGNED | Encoder.EXT_ENCRYPTED)) {
+                this.whole = true;
+                return;
+            }
+            u.unserializeChecks(version);
+            this.tables = u.inline ? []
+                : (u.extensions & Encoder.EXT_SHAPES) ? [{ name: "keys" }, { name: "shapes" }, { name: "strings" }]
+                : [{ name: "keys" }, { name: "strings" }];
+            this.resume = u.ds.position;
         }
         
-        if (version & Encoder.OPTION_CRC32) {
-            crc = this.ds.readUint32();
+        while (this.tables.length > 0) {
+            table = this.tables[0];
+            if (table.size === undefined) {
+                size = u.unserializeCount();
+                u.checkLimit("maxStringTableSize", size);
+                table.size = size;
+            } else if (table.size === 0) {
+                this.tables.shift();
+            } else if (table.name === "shapes") {
+                u.shapes.push(u.unserializeShapeKeys());
+                table.size -= 1;
+            } else {
+                var strings = (table.name === "keys") ? u.string_keys : u.string_refs;
+                strings.set(strings.size, u.unserializeCString());
+                table.size -= 1;
+            }
+            this.resume = u.ds.position;
         }
         
-        if (version & Encoder.OPTION_NOCYCLE) {
-            this.hasCycle = false;
+        this.keys = Array.from(u.string_keys.values());
+        this.strings = Array.from(u.string_refs.values());
+        this.offset = this.resume;
+        this.frames = [{ size: 1, keyed: false }];
+        this.state = StreamDecoder.STATE_BODY;
+    };
+    
+    /**
+     * Scan the encoded value component by component, containers being entered rather than 
+     * skipped, so that scanning resumes within them. Strings and shapes defined inline in 
+     * a truncated component are forgotten, to be registered again when scanning resumes.
+     */
+    StreamDecoder.prototype.scanBody = function () {
+        var u = this.decoder, frames = this.frames, frame, size, tag;
+        var keys = u.string_keys.size, strings = u.string_refs.size, shapes = u.shapes.length, blocks = u.column_blocks.length;
+        
+        try {
+            while (frames.length > 0) {
+                frame = frames[frames.length - 1];
+                if (frame.size === 0) {
+                    frames.pop();
+                    continue;
+                }
+                
+                u.depth = frames.length - 1;
+                if (frame.keyed) {
+                    u.unserializeKey();
+                }
+                tag = u.ds.readUint8();
+                switch (tag) {
+                    case Encoder.TAG_OBJECT:
+                        size = u.unserializeCount();
+                        u.checkLimit("maxArrayLength", size);
+                        frame = { size: size, keyed: true };
+                        break;
+                    case Encoder.TAG_SHAPED_OBJECT:
+                        frame = { size: u.unserializeShape().length, keyed: false };
+                        break;
+                    case Encoder.TAG_ARRAY:
+                    case Encoder.TAG_SET:
+                        size = u.unserializeCount();
+                        u.checkLimit("maxArrayLength", size);
+                        frame = { size: size, keyed: false };
+                        break;
+                    case Encoder.TAG_MAP:
+                        size = u.unserializeCount();
+                        u.checkLimit("maxArrayLength", size);
+                        frame = { size: 2 * size, keyed: false };
+                        break;
+                    default:
+                        u.ds.position -= 1;
+                        u.skipComponent();
+                        frame = undefined;
+                }
+                
+                frames[frames.length - 1].size -= 1;
+                if (frame !== undefined) {
+                    u.checkLimit("maxDepth", frames.length);
+                    frames.push(frame);
+                }
+                this.resume = u.ds.position;
+                keys = u.string_keys.size;
+                strings = u.string_refs.size;
+                shapes = u.shapes.length;
+                blocks = u.column_blocks.length;
+            }
+            
+            if (u.inline && u.hasCRC) {
+                u.skipBytes(4);
+            }
+            if (!u.ds.isEof()) {
+                throw u.error("INVALID_DATA", "Unexpected data after the encoded value");
+            }
+        } catch (e) {
+            while (u.string_keys.size > keys) {
+                u.string_keys.delete(u.string_keys.size - 1);
+            }
+            while (u.string_refs.size > strings) {
+                u.string_refs.delete(u.string_refs.size - 1);
+            }
+            u.shapes.length = shapes;
+            u.column_blocks.length = blocks;
+            throw e;
         }
+    };
+    
+    /**
+     * Decode the received data as a whole, for compressed, signed or encrypted data.
+     */
+    StreamDecoder.prototype.decodeWhole = function () {
+        var u = new Decoder(new DataView(this.ds.dataView.buffer, 0, this.ds.position));
         
-        // Key references
-        size = this.unserializeCount();
-        for (i = 0; i < size; i += 1) {
-            s = decode_utf8(this.ds.readCString());
-            this.string_keys.set(i, s);
+        this.value = u.decode(this.options);
+        this.keys = Array.from(u.string_keys.values());
+        this.strings = Array.from(u.string_refs.values());
+        this.state = StreamDecoder.STATE_COMPLETE;
+    };
+    
+    /**
+     * Add a chunk of data.
+     *
+     * @param {ArrayBuffer|Uint8Array} chunk Received data (any binary array)
+     * @return {boolean} True if the decoded value is complete
+     */
+    StreamDecoder.prototype.push = function (chunk) {
+        if (chunk === undefined || chunk === null || (!(chunk instanceof ArrayBuffer || chunk.buffer instanceof ArrayBuffer))) {
+            throw new JSBONError("INVALID_ARGUMENT", "Invalid data");
+        }
+        if (this.state === StreamDecoder.STATE_COMPLETE) {
+            throw new JSBONError("INVALID_DATA", "Unexpected data after the encoded value", this.ds.position);
+        }
+        if (this.options && this.options.maxBytes !== undefined && this.ds.position + chunk.byteLength > this.options.maxBytes) {
+            throw new JSBONError("LIMIT_EXCEEDED", "Limit exceeded: maxBytes " + (this.ds.position + chunk.byteLength), this.ds.position);
         }
         
-        // Key references
-        size = this.unserializeCount();
-        for (i = 0; i < size; i += 1) {
-            s = decode_utf8(this.ds.readCString());
-            this.string_refs.set(i, s);
+        this.ds.writeUint8Array((chunk instanceof ArrayBuffer) ? new Uint8Array(chunk) 
+            : new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength));
+        
+        if (!this.whole && this.ds.position >= this.next_attempt) {
+            return this.attempt();
+        }
+        return false;
+    };
+    
+    /**
+     * Signal the end of data.
+     *
+     * @return {*} Decoded value
+     */
+    StreamDecoder.prototype.end = function () {
+        if (this.state !== StreamDecoder.STATE_COMPLETE && this.whole) {
+            this.decodeWhole();
+        }
+        if (this.state !== StreamDecoder.STATE_COMPLETE && !this.attempt()) {
+            throw new JSBONError("TRUNCATED", "Incomplete data", this.ds.position);
+        }
+        return this.value;
+    };
+    
+    /**
+     * Check whether data are canonically encoded, by encoding the decoded value again with the 
+     * same options and comparing the results (the signature, if any, being left aside). The 
+     * options are the dictionary and decrypt, if needed.
+     *
+     * @param {ArrayBuffer|Uint8Array} binary Encoded data
+     * @param {Object} options Options
+     * @return {boolean} True if canonical
+     */
+    function isCanonical(binary, options) {
+        var u = new Decoder(binary);
+        var value = u.decode({ dictionary: options && options.dictionary, decrypt: options && options.decrypt });
+        if (u.inline || (u.major < 2 && u.extensions)) {
+            // Streamed, or using features which version 1 no longer supports
+            return false;
         }
         
-        if (version & Encoder.OPTION_CRC32) {
-            var offset = this.ds.position;
-            var raw = this.ds.readUint8Array();
-            var new_crc = crc32(raw);
-            if (new_crc !== crc) {
-                throw new Error("CRC32 checksum mistmach");
+        var s = new Encoder();
+        s.signature = u.signature; // Only its algorithm is used, as it is not computed
+        if (u.encryption) {
+            // Same header, the data being compared before encryption (encrypting them again with
+            // the same key and nonce would weaken the encryption)
+            s.encryption = { keyId: u.encryption.keyId, nonce: u.encryption.nonce };
+        }
+        var encoded;
+        try {
+            encoded = s.serialize(value, {
+                canonical: true,
+                version: u.major,
+                hasCRC: u.crc !== undefined,
+                checksum: u.checksum && u.checksum.algorithm.name,
+                precision: u.precision,
+                compress: (u.extensions & Encoder.EXT_COMPRESSED) !== 0,
+                dictionary: options && options.dictionary,
+                columnar: u.columnar
+            });
+        } catch (e) {
+            if (e instanceof JSBONError && e.code === "UNSUPPORTED_TYPE") {
+                // Maps or Sets which cannot be sorted
+                return false;
             }
-            // Reset position in buffer
-            this.ds.position = offset;
+            throw e;
+        }
+        
+        var data = u.signature ? u.signature.data
+            : (binary instanceof ArrayBuffer) ? new Uint8Array(binary) : new Uint8Array(binary.buffer, binary.byteOffset, binary.byteLength);
+        if (u.encryption) {
+            data = concatBytes(data.subarray(0, u.encryption.headerSize), u.decrypted);
         }
+        if (encoded.length !== data.length) {
+            return false;
+        }
+        for (var i = 0; i < data.length; i += 1) {
+            if (encoded[i] !== data[i]) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Dictionary of property names and strings, shared by the encoder and the decoder, so that 
+     * the tables of strings only contain those not in the dictionary. Its identifier (the CRC32
+     * of its binary representation) is recorded in the encoded data.
+     *
+     * @constructor
+     * @param {Array} keys Property names
+     * @param {Array} strings Other strings
+     */
+    var Dictionary = function (keys, strings) {
+        this.keys = Array.from(keys, String);
+        this.strings = Array.from(strings, String);
+        if (new Set(this.keys).size !== this.keys.length || new Set(this.strings).size !== this.strings.length
+                || this.strings.indexOf("") !== -1) {
+            throw new JSBONError("INVALID_ARGUMENT", "Invalid dictionary: duplicate or empty strings");
+        }
+        this.id = crc32(this.encode());
     };
-
-    Decoder.prototype.decode = function () {
-        this.unserializeTOS();
-        this.offset = this.ds.position;
-        return this.unserializeComponent(); 
+    
+    /**
+     * Get the binary representation, to be loaded with JSBON.loadDictionary: the two tables of
+     * strings, as in encoded data.
+     *
+     * @return {Uint8Array} Encoded dictionary
+     */
+    Dictionary.prototype.encode = function () {
+        var s = new Encoder();
+        s.serializeCount(this.keys.length);
+        this.keys.forEach(function(key) { s.ds.writeCString(encode_utf8(key)); });
+        s.serializeCount(this.strings.length);
+        this.strings.forEach(function(string) { s.ds.writeCString(encode_utf8(string)); });
+        return new Uint8Array(s.ds.buffer, 0, s.ds.position);
     };
     
+    /**
+     * Create a dictionary from sample values, with the property names and strings they share.
+     * Options are those of JSBON.encode, and also minSamples (the minimal number of samples 
+     * an entry must appear in, by default 2), maxKeys and maxStrings (the maximal number of
+     * entries). The most frequent entries come first.
+     *
+     * @param {Iterable} samples Sample values
+     * @param {Object} options Options
+     * @return {Dictionary} Dictionary
+     */
+    function createDictionary(samples, options) {
+        var keys = new Map(), strings = new Map(), count = 0;
+        
+        function add(counts, string) {
+            counts.set(string, (counts.get(string) || 0) + 1);
+        }
+        function select(counts, max) {
+            var entries = Array.from(counts).filter(function(entry) { return entry[1] >= minSamples; });
+            entries.sort(function(a, b) { return b[1] - a[1]; });
+            return entries.slice(0, max).map(function(entry) { return entry[0]; });
+        }
+        
+        Array.from(samples, function(sample) {
+            var s = new Encoder();
+            s.setOptions(options);
+            s.serializeRoot(sample);
+            s.string_keys.forEach(function(index, key) { add(keys, key); });
+            s.string_refs.forEach(function(index, string) { add(strings, string); });
+            count += 1;
+        });
+        
+        var minSamples = Math.min((options && options.minSamples) || 2, count);
+        return new Dictionary(select(keys, options && options.maxKeys), select(strings, options && options.maxStrings));
+    }
+    
+    /**
+     * Load a dictionary from its binary representation.
+     *
+     * @param {ArrayBuffer|Uint8Array} binary Encoded dictionary
+     * @return {Dictionary} Dictionary
+     */
+    function loadDictionary(binary) {
+        var u = new Decoder(binary);
+        var keys = [], strings = [], size, i;
+        
+        try {
+            size = u.unserializeCount();
+            u.checkSize(size, 1, "maxStringTableSize");
+            for (i = 0; i < size; i += 1) {
+                keys.push(u.unserializeCString());
+            }
+            size = u.unserializeCount();
+            u.checkSize(size, 1, "maxStringTableSize");
+            for (i = 0; i < size; i += 1) {
+                strings.push(u.unserializeCString());
+            }
+        } catch (e) {
+            throw u.wrapError(e);
+        }
+        if (!u.ds.isEof()) {
+            throw u.error("INVALID_DATA", "Unexpected data after the dictionary");
+        }
+        return new Dictionary(keys, strings);
+    }
+    
     return {
         encode: function(obj, options) {
             var s = new Encoder();
             return s.encode(obj, options);
         },
-        decode: function(binary) {
+        encodeAsync: function(obj, options) {
+            var s = new Encoder();
+            return s.encodeAsync(obj, options);
+        },
+        encodeSequence: function(values, options) {
+            var s = new SequenceEncoder(options);
+            var records = Array.from(values, function(value) { return s.encode(value); });
+            records.push(s.header());
+            var size = records.reduce(function(size, record) { return size + record.length; }, 0);
+            
+            var binary = new Uint8Array(size), offset = 0;
+            records.forEach(function(record) {
+                binary.set(record, offset);
+                offset += record.length;
+            });
+            return binary;
+        },
+        encodeStream: function(obj, sink, options) {
+            return new Promise(function(resolve) {
+                var s = new StreamEncoder(sink);
+                resolve(s.encode(obj, options));
+            });
+        },
+        decode: function(binary, options) {
             if (binary === undefined || binary === null || (!(binary instanceof ArrayBuffer || binary.buffer instanceof ArrayBuffer))) {
                 // Has to be non-null, and and instance of array buffer or one of the binary arrays
-                throw new Error("Invalid data");
+                throw new JSBONError("INVALID_ARGUMENT", "Invalid data");
+            }
+            var u = new Decoder(binary);
+            return u.decode(options);
+        },
+        decodeAsync: function(binary, options) {
+            if (binary === undefined || binary === null || (!(binary instanceof ArrayBuffer || binary.buffer instanceof ArrayBuffer))) {
+                return Promise.reject(new JSBONError("INVALID_ARGUMENT", "Invalid data"));
             }
             var u = new Decoder(binary);
-            return u.decode();
+            return u.decodeAsync(options);
+        },
+        decodeSequence: function(binary, options) {
+            return Array.from(this.iterateSequence(binary, options));
+        },
+        view: function(binary, options) {
+            if (binary === undefined || binary === null || (!(binary instanceof ArrayBuffer || binary.buffer instanceof ArrayBuffer))) {
+                throw new JSBONError("INVALID_ARGUMENT", "Invalid data");
+            }
+            var u = new ViewDecoder(binary);
+            return u.view(options);
+        },
+        get: function(binary, path, options) {
+            if (binary === undefined || binary === null || (!(binary instanceof ArrayBuffer || binary.buffer instanceof ArrayBuffer))) {
+                throw new JSBONError("INVALID_ARGUMENT", "Invalid data");
+            }
+            var u = new PathDecoder(binary);
+            return u.get(path, options);
+        },
+        iterateSequence: function(binary, options) {
+            if (binary === undefined || binary === null || (!(binary instanceof ArrayBuffer || binary.buffer instanceof ArrayBuffer))) {
+                throw new JSBONError("INVALID_ARGUMENT", "Invalid data");
+            }
+            return new SequenceDecoder(binary, options);
+        },
+        isCanonical: function(binary, options) {
+            if (binary === undefined || binary === null || (!(binary instanceof ArrayBuffer || binary.buffer instanceof ArrayBuffer))) {
+                throw new JSBONError("INVALID_ARGUMENT", "Invalid data");
+            }
+            return isCanonical(binary, options);
+        },
+        createDictionary: createDictionary,
+        loadDictionary: function(binary) {
+            if (binary === undefined || binary === null || (!(binary instanceof ArrayBuffer || binary.buffer instanceof ArrayBuffer))) {
+                throw new JSBONError("INVALID_ARGUMENT", "Invalid data");
+            }
+            return loadDictionary(binary);
         },
+        registerType: registerType,
+        JSBONError: JSBONError,
+        Dictionary: Dictionary,
         // Exported for those who may want to extend the objects.
         Encoder: Encoder,
         Decoder: Decoder,
+        StreamEncoder: StreamEncoder,
+        SequenceEncoder: SequenceEncoder,
+        SequenceDecoder: SequenceDecoder,
+        ViewDecoder: ViewDecoder,
+        PathDecoder: PathDecoder,
+        StreamDecoder: StreamDecoder,
+        WILDCARD: PathDecoder.WILDCARD,
     };
 }));
 
@@ -0,0 +1,554 @@
+#!/usr/bin/env node
+/*
+ * Command-line tool for JSBON: encode JSON to JSBON, decode JSBON to JSON, and inspect
+ * encoded data.
+ *
+ * Usage:
+ *   jsbon encode [options] [file]
+ *   jsbon decode [options] [file]
+ *   jsbon inspect [options] [file]
+ *
+ * The input is read from the file if given, otherwise from the standard input.
+ */
+"use strict";
+
+var fs = require("fs");
+var JSBON = require("../JSBON");
+
+var Encoder = JSBON.Encoder;
+var Decoder = JSBON.Decoder;
+
+var USAGE = [
+    "Usage: jsbon <command> [options] [file]",
+    "",
+    "Commands:",
+    "  encode      Encode JSON into JSBON",
+    "  decode      Decode JSBON into JSON, with tagged values for non-JSON types",
+    "  inspect     Show the header, CRC status, string tables and statistics per tag",
+    "",
+    "Options:",
+    "  -o, --output <file>       Write to a file rather than to the standard output",
+    "  --dictionary <file>       Shared dictionary the data are (to be) encoded with",
+    "  --verify-key <key>        Secret key checking the signature (a string, or hex: and hexadecimal bytes)",
+    "  --decrypt-key <hex>       AES key decrypting the data, as hexadecimal bytes",
+    "  --additional-data <data>  Associated data the data were encrypted with",
+    "  --indent <n>              Indentation of the decoded JSON (default 2)",
+    "  --sequence                Encode a sequence of values, from JSON lines",
+    "  --crc                     Add a CRC32 of the encoded objects",
+    "  --checksum <algorithm>    Add a checksum of the whole data (crc32, crc32c, adler32, xxhash32)",
+    "  --compress                Compress the encoded data",
+    "  --canonical               Use the canonical encoding",
+    "  --columnar                Encode arrays of records by columns",
+    "  --precision <p>           Number of decimals, or float32, for the numbers",
+    "  --format-version <v>      Major version of the format to write (1 or 2)",
+    "  -h, --help                Show this help"
+].join("\n");
+
+// - Command-line parsing
+
+var FLAGS = ["sequence", "crc", "compress", "canonical", "columnar", "help"];
+var VALUES = ["output", "dictionary", "verify-key", "decrypt-key", "additional-data", "indent", "checksum", "precision", "format-version"];
+var ALIASES = { "-o": "output", "-h": "help" };
+
+var UsageError = function (message) {
+    this.name = "UsageError";
+    this.message = message;
+};
+UsageError.prototype = Object.create(Error.prototype);
+UsageError.prototype.constructor = UsageError;
+
+function parseArguments(args) {
+    var parsed = { command: undefined, file: undefined, options: {} };
+
+    for (var i = 0; i < args.length; i += 1) {
+        var arg = args[i];
+        var name = ALIASES[arg] || (arg.startsWith("--") ? arg.slice(2) : undefined);
+
+        if (name !== undefined) {
+            if (FLAGS.indexOf(name) !== -1) {
+                parsed.options[name] = true;
+            } else if (VALUES.indexOf(name) !== -1) {
+                if (i + 1 >= args.length) {
+                    throw new UsageError("Missing value for " + arg);
+                }
+                i += 1;
+                parsed.options[name] = args[i];
+            } else {
+                throw new UsageError("Unknown option " + arg);
+            }
+        } else if (arg !== "-" && arg.startsWith("-")) {
+            throw new UsageError("Unknown option " + arg);
+        } else if (parsed.command === undefined) {
+            parsed.command = arg;
+        } else if (parsed.file === undefined) {
+            parsed.file = arg;
+        } else {
+            throw new UsageError("Unexpected argument " + arg);
+        }
+    }
+    return parsed;
+}
+
+function parseInteger(value, name) {
+    if (!/^\d+$/.test(value)) {
+        throw new UsageError("Invalid value for --" + name + ": " + value);
+    }
+    return parseInt(value, 10);
+}
+
+function parseHex(value, name) {
+    if (!/^([0-9a-fA-F]{2})+$/.test(value)) {
+        throw new UsageError("Invalid value for --" + name + ": " + value);
+    }
+    return new Uint8Array(Buffer.from(value, "hex"));
+}
+
+// - Input and output
+
+function readInput(file) {
+    // File descriptor 0 for the standard input
+    var data = fs.readFileSync((file === undefined || file === "-") ? 0 : file);
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+function writeOutput(options, data) {
+    if (options.output !== undefined) {
+        fs.writeFileSync(options.output, data);
+    } else {
+        process.stdout.write(data);
+    }
+}
+
+function getDecodeOptions(options) {
+    var decodeOptions = {};
+    if (options.dictionary !== undefined) {
+        decodeOptions.dictionary = JSBON.loadDictionary(readInput(options.dictionary));
+    }
+    if (options["verify-key"] !== undefined) {
+        var key = options["verify-key"];
+        decodeOptions.verify = { key: key.startsWith("hex:") ? parseHex(key.slice(4), "verify-key") : key };
+    }
+    if (options["decrypt-key"] !== undefined) {
+        decodeOptions.decrypt = { key: parseHex(options["decrypt-key"], "decrypt-key"), additionalData: options["additional-data"] };
+    }
+    return decodeOptions;
+}
+
+/**
+ * Skip the restart marker a sequence may start with (when written with the append option).
+ */
+function skipRestartMarker(u) {
+    if (u.ds.byteLength > 0 && u.ds.readUint8() !== 0) {
+        u.ds.position = 0;
+    }
+}
+
+/**
+ * Read the header of encoded data.
+ *
+ * @return {Decoder} Decoder, with the options and extensions of the data
+ */
+function readHeader(data, decodeOptions) {
+    var u = new Decoder(data);
+    try {
+        u.setOptions(decodeOptions);
+        skipRestartMarker(u);
+        u.unserializeVersion();
+    } catch (e) {
+        throw u.wrapError(e);
+    }
+    return u;
+}
+
+// - Encoding
+
+function encode(parsed) {
+    var options = parsed.options;
+    var encodeOptions = {
+        hasCRC: !!options.crc,
+        compress: !!options.compress,
+        canonical: !!options.canonical,
+        columnar: !!options.columnar
+    };
+    if (options.checksum !== undefined) {
+        encodeOptions.checksum = options.checksum;
+    }
+    if (options.precision !== undefined) {
+        encodeOptions.precision = (options.precision === "float32") ? "float32" : parseInteger(options.precision, "precision");
+    }
+    if (options["format-version"] !== undefined) {
+        encodeOptions.version = parseInteger(options["format-version"], "format-version");
+    }
+    if (options.dictionary !== undefined) {
+        encodeOptions.dictionary = JSBON.loadDictionary(readInput(options.dictionary));
+    }
+
+    var text = Buffer.from(readInput(parsed.file)).toString("utf8");
+    var binary;
+    if (options.sequence) {
+        // One JSON value per line
+        var values = text.split("\n").filter(function(line) { return line.trim() !== ""; }).map(function(line) { return JSON.parse(line); });
+        binary = JSBON.encodeSequence(values, encodeOptions);
+    } else {
+        binary = JSBON.encode(JSON.parse(text), encodeOptions);
+    }
+    writeOutput(options, Buffer.from(binary.buffer, binary.byteOffset, binary.byteLength));
+}
+
+// - Decoding
+
+/**
+ * Escape a property name or index, as a JSON pointer reference token.
+ */
+function escapePointer(key) {
+    return String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function toBase64(view) {
+    return Buffer.from(view.buffer, view.byteOffset, view.byteLength).toString("base64");
+}
+
+/**
+ * Convert a decoded value to a JSON-compatible value, with tagged objects (whose first
+ * property name starts with "$") for the values JSON cannot represent. Property names
+ * starting with "$" get another "$", so that objects cannot be taken for tagged ones. A value 
+ * met again (a cycle or a shared object) is replaced by a reference to its first occurrence, as
+ * a JSON pointer into the output.
+ */
+function toTagged(value, path, seen) {
+    switch (typeof value) {
+        case "undefined":
+            return { $undefined: true };
+        case "number":
+            if (!Number.isFinite(value) || Object.is(value, -0)) {
+                return { $number: Object.is(value, -0) ? "-0" : String(value) };
+            }
+            return value;
+        case "bigint":
+            return { $bigint: value.toString() };
+        case "string":
+        case "boolean":
+            return value;
+    }
+    if (value === null) {
+        return null;
+    }
+    if (seen.has(value)) {
+        return { $ref: seen.get(value) };
+    }
+    seen.set(value, path);
+
+    if (value instanceof Date) {
+        return { $date: isNaN(value.getTime()) ? null : value.toISOString() };
+    }
+    if (value instanceof ArrayBuffer) {
+        return { $binary: toBase64(new Uint8Array(value)), type: "ArrayBuffer" };
+    }
+    if (ArrayBuffer.isView(value)) {
+        return { $binary: toBase64(value), type: value.constructor.name };
+    }
+    if (value instanceof Map) {
+        return { $map: Array.from(value, function(entry, index) {
+            var base = path + "/$map/" + index;
+            return [toTagged(entry[0], base + "/0", seen), toTagged(entry[1], base + "/1", seen)];
+        }) };
+    }
+    if (value instanceof Set) {
+        return { $set: Array.from(value, function(item, index) {
+            return toTagged(item, path + "/$set/" + index, seen);
+        }) };
+    }
+    if (Array.isArray(value)) {
+        return Array.from(value, function(item, index) {
+            return toTagged(item, path + "/" + index, seen);
+        });
+    }
+
+    var result = {};
+    Object.keys(value).forEach(function(key) {
+        var name = key.startsWith("$") ? "$" + key : key;
+        Object.defineProperty(result, name, {
+            value: toTagged(value[key], path + "/" + escapePointer(name), seen),
+            enumerable: true,
+            writable: true,
+            configurable: true
+        });
+    });
+    return result;
+}
+
+function decode(parsed) {
+    var options = parsed.options;
+    var indent = (options.indent !== undefined) ? parseInteger(options.indent, "indent") : 2;
+    var decodeOptions = getDecodeOptions(options);
+    var data = readInput(parsed.file);
+    var text;
+
+    if (readHeader(data, decodeOptions).extensions & Encoder.EXT_SEQUENCE) {
+        // One JSON value per line
+        text = Array.from(JSBON.iterateSequence(data, decodeOptions), function(value) {
+            return JSON.stringify(toTagged(value, "", new Map())) + "\n";
+        }).join("");
+    } else {
+        text = JSON.stringify(toTagged(JSBON.decode(data, decodeOptions), "", new Map()), null, indent) + "\n";
+    }
+    writeOutput(options, text);
+}
+
+// - Inspection
+
+var TAG_NAMES = new Map();
+Object.keys(Encoder).forEach(function(name) {
+    if (name.startsWith("TAG_")) {
+        TAG_NAMES.set(Encoder[name], name.slice(4));
+    }
+});
+
+var FEATURE_NAMES = new Map();
+Object.keys(Encoder).forEach(function(name) {
+    if (name.startsWith("EXT_")) {
+        FEATURE_NAMES.set(Encoder[name], name.slice(4).toLowerCase());
+    }
+});
+
+/**
+ * Decoder gathering statistics per tag while skipping the encoded values.
+ *
+ * @constructor
+ * @param {ArrayBuffer|Uint8Array} arrayBuffer Encoded data
+ */
+var StatsDecoder = function (arrayBuffer) {
+    Decoder.call(this, arrayBuffer);
+    this.stats = new Map(); // Count and size (excluding nested values) per tag
+    this.nested = []; // Size of the nested values, for each value being skipped
+    this.strings = { keys: 0, keyBytes: 0, strings: 0, stringBytes: 0 };
+};
+StatsDecoder.prototype = Object.create(Decoder.prototype);
+StatsDecoder.prototype.constructor = StatsDecoder;
+
+StatsDecoder.prototype.skipComponent = function () {
+    var start = this.ds.position;
+    var tag = this.ds.readUint8();
+    this.ds.position = start;
+
+    this.nested.push(0);
+    Decoder.prototype.skipComponent.call(this);
+    var size = this.ds.position - start;
+    var stat = this.stats.get(tag) || { count: 0, bytes: 0 };
+    stat.count += 1;
+    stat.bytes += size - this.nested.pop();
+    this.stats.set(tag, stat);
+    if (this.nested.length > 0) {
+        this.nested[this.nested.length - 1] += size;
+    }
+};
+
+/**
+ * Skip the top-level value, checking the trailing CRC32 if any.
+ */
+StatsDecoder.prototype.skipBody = function () {
+    this.offset = this.ds.position;
+    this.skipComponent();
+    if (this.inline && this.hasCRC) {
+        var end = this.ds.position;
+        this.crc = this.ds.readUint32();
+        this.ds.position = this.offset;
+        this.checkCRC(end - this.offset);
+        this.ds.position = end + 4;
+    }
+};
+
+/**
+ * Count the strings of the tables (excluding those of the dictionary, if any), either
+ * read with the header or defined inline.
+ */
+StatsDecoder.prototype.countStrings = function () {
+    var base = this.dictionary ? this.dictionary.keys.length : 0;
+    var strings = this.strings;
+    this.string_keys.forEach(function(key, index) {
+        if (index >= base) {
+            strings.keys += 1;
+            strings.keyBytes += Buffer.byteLength(key) + 1;
+        }
+    });
+    base = this.dictionary ? this.dictionary.strings.length : 0;
+    this.string_refs.forEach(function(string, index) {
+        if (index >= base) {
+            strings.strings += 1;
+            strings.stringBytes += Buffer.byteLength(string) + 1;
+        }
+    });
+};
+
+/**
+ * Check the CRC32, the checksum or the signature, reporting a mismatch rather than failing.
+ */
+function checkStatus(callback) {
+    try {
+        callback();
+        return "valid";
+    } catch (e) {
+        if (e.code === "CRC_MISMATCH" || e.code === "BAD_SIGNATURE") {
+            return "MISMATCH (" + e.reason + ")";
+        }
+        throw e;
+    }
+}
+
+function describeOptions(version) {
+    var flags = [];
+    if (version & Encoder.OPTION_CRC32) {
+        flags.push("crc32");
+    }
+    if (version & Encoder.OPTION_NOCYCLE) {
+        flags.push("nocycle");
+    }
+    if (version & Encoder.OPTION_INLINE) {
+        flags.push("inline");
+    }
+    if (version & Encoder.OPTION_EXTENDED) {
+        flags.push("extended");
+    }
+    return flags.length > 0 ? flags.join(", ") : "none";
+}
+
+function describeFeatures(u) {
+    var features = [];
+    FEATURE_NAMES.forEach(function(name, bit) {
+        if (!(u.extensions & bit)) {
+            return;
+        }
+        if (bit === Encoder.EXT_DECIMALS) {
+            name += " (" + u.precision + ")";
+        } else if (bit === Encoder.EXT_DICTIONARY) {
+            name += " (" + u.dictionary.id + ")";
+        } else if (bit === Encoder.EXT_SIGNED) {
+            name += " (" + u.signature.algorithm.name + ")";
+        } else if (bit === Encoder.EXT_ENCRYPTED) {
+            name += " (key " + u.encryption.keyId + ")";
+        } else if (bit === Encoder.EXT_CHECKSUM) {
+            name += " (" + u.checksum.algorithm.name + ")";
+        }
+        features.push(name);
+    });
+    return features.length > 0 ? features.join(", ") : "none";
+}
+
+function inspect(parsed) {
+    var decodeOptions = getDecodeOptions(parsed.options);
+    var data = readInput(parsed.file);
+    var u = new StatsDecoder(data);
+    var lines = [];
+    var line = function(label, value) {
+        lines.push((label + ":").padEnd(18) + value);
+    };
+
+    try {
+        u.setOptions(decodeOptions);
+        skipRestartMarker(u);
+        var version = u.unserializeVersion();
+        line("Format version", u.major + "." + u.minor);
+        line("Options", describeOptions(version));
+        line("Features", describeFeatures(u));
+        line("Size", data.byteLength + " bytes");
+
+        if (u.signature) {
+            line("Signature", u.verify ? checkStatus(function() { u.checkSignature(); }) : "not checked");
+        }
+        if (u.encryption && !u.decryption) {
+            line("Values", "encrypted, not shown");
+        } else {
+            if (u.encryption) {
+                u.decryptData();
+            }
+            u.unserializeTables(version);
+            if (u.checksum) {
+                line("Checksum", checkStatus(function() { u.checkCRC(); }));
+            }
+
+            if (u.extensions & Encoder.EXT_SEQUENCE) {
+                var records = 0, mismatches = 0, size;
+                while (!u.ds.isEof()) {
+                    size = u.unserializeCount();
+                    if (size === 0) {
+                        // Restart marker, with new tables
+                        u.countStrings();
+                        u.string_keys = new Map();
+                        u.string_refs = new Map();
+                        u.shapes = [];
+                        u.unserializeTOS();
+                        continue;
+                    }
+                    u.object_refs = new Map();
+                    if (checkStatus(function() { u.skipBody(); }) !== "valid") {
+                        mismatches += 1;
+                    }
+                    records += 1;
+                }
+                line("CRC32", !u.hasCRC ? "none" : (mismatches > 0) ? "MISMATCH in " + mismatches + " record(s)" : "valid");
+                line("Records", records);
+            } else if (u.inline) {
+                // The CRC32 (if any) follows the encoded objects
+                line("CRC32", u.hasCRC ? checkStatus(function() { u.skipBody(); }) : "none");
+                if (!u.hasCRC) {
+                    u.skipBody();
+                }
+            } else {
+                line("CRC32", (u.crc !== undefined) ? checkStatus(function() { u.checkCRC(); }) : "none");
+                u.skipBody();
+            }
+
+            u.countStrings();
+            line("Property names", u.strings.keys + " (" + u.strings.keyBytes + " bytes)" + (u.inline ? ", defined inline" : ""));
+            line("Strings", u.strings.strings + " (" + u.strings.stringBytes + " bytes)" + (u.inline ? ", defined inline" : ""));
+            if (u.extensions & Encoder.EXT_SHAPES) {
+                line("Shapes", u.shapes.length);
+            }
+
+            lines.push("Tags:");
+            Array.from(u.stats.keys()).sort(function(a, b) { return a - b; }).forEach(function(tag) {
+                var stat = u.stats.get(tag);
+                var name = TAG_NAMES.get(tag) || ("0x" + tag.toString(16));
+                lines.push("  " + name.padEnd(20) + String(stat.count).padStart(8) + String(stat.bytes).padStart(10) + " bytes");
+            });
+        }
+    } catch (e) {
+        throw u.wrapError(e);
+    } finally {
+        // What could be read before an error is shown anyway
+        if (lines.length > 0) {
+            writeOutput(parsed.options, lines.join("\n") + "\n");
+        }
+    }
+}
+
+// - Main
+
+var COMMANDS = { encode: encode, decode: decode, inspect: inspect };
+
+function main(args) {
+    try {
+        var parsed = parseArguments(args);
+        if (parsed.options.help) {
+            process.stdout.write(USAGE + "\n");
+            return 0;
+        }
+        if (parsed.command === undefined) {
+            throw new UsageError("Missing command");
+        }
+        if (!COMMANDS.hasOwnProperty(parsed.command)) {
+            throw new UsageError("Unknown command " + parsed.command);
+        }
+        COMMANDS[parsed.command](parsed);
+        return 0;
+    } catch (e) {
+        if (e instanceof UsageError) {
+            process.stderr.write("jsbon: " + e.message + "\n\n" + USAGE + "\n");
+            return 2;
+        }
+        process.stderr.write("jsbon: " + e.message + "\n");
+        return 1;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
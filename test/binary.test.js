@@ -0,0 +1,110 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+function hex(binary) {
+    return Buffer.from(binary).toString("hex");
+}
+
+test("typed arrays are stored in big endian order", function() {
+    assert.ok(hex(JSBON.encode(new Uint16Array([0x1234]))).endsWith("1234"));
+    assert.ok(hex(JSBON.encode(new Float32Array([1.5]))).endsWith("3fc00000"));
+});
+
+test("typed arrays on a shared ArrayBuffer are stored in big endian order", function() {
+    var buffer = new ArrayBuffer(16);
+    var floats = new Float32Array(buffer, 0, 2);
+    var words = new Uint16Array(buffer, 8, 4);
+    floats.set([1.5, -2]);
+    words.set([1, 0x1234, 3, 4]);
+    
+    var binary = JSBON.encode({ buffer: buffer, floats: floats, words: words, same: new Uint16Array(buffer, 8, 2) });
+    assert.ok(hex(binary).includes("3fc00000c0000000" + "0001123400030004"));
+    
+    var o = JSBON.decode(binary);
+    assert.strictEqual(o.floats.buffer, o.buffer);
+    assert.strictEqual(o.words.buffer, o.buffer);
+    assert.strictEqual(o.same.buffer, o.buffer);
+    assert.deepStrictEqual(Array.from(o.floats), [1.5, -2]);
+    assert.deepStrictEqual(Array.from(o.words), [1, 0x1234, 3, 4]);
+    assert.deepStrictEqual(new Uint8Array(o.buffer), new Uint8Array(buffer));
+});
+
+test("typed arrays met before their shared ArrayBuffer", function() {
+    var buffer = new ArrayBuffer(16);
+    var values = new BigInt64Array(buffer, 8, 1);
+    values[0] = -5n;
+    
+    var o = JSBON.decode(JSBON.encode([values, new DataView(buffer), buffer]));
+    assert.deepStrictEqual(Array.from(o[0]), [-5n]);
+    assert.strictEqual(o[1].getBigInt64(8, true), -5n);
+    assert.deepStrictEqual(new Uint8Array(o[2]), new Uint8Array(buffer));
+});
+
+test("typed arrays on a shared ArrayBuffer in a stream, a view and a path query", function() {
+    var buffer = new ArrayBuffer(8);
+    var words = new Uint32Array(buffer, 0, 2);
+    words.set([1, 0xDEADBEEF]);
+    var value = { words: words, first: new Uint32Array(buffer, 0, 1) };
+    var binary = JSBON.encode(value);
+    
+    assert.deepStrictEqual(Array.from(JSBON.view(binary).words), [1, 0xDEADBEEF]);
+    assert.deepStrictEqual(Array.from(JSBON.get(binary, "/first")), [1]);
+    
+    var chunks = [];
+    return JSBON.encodeStream(value, function(chunk) { chunks.push(Buffer.from(chunk)); }, { chunkSize: 4 }).then(function() {
+        var o = JSBON.decode(Buffer.concat(chunks));
+        assert.deepStrictEqual(Array.from(o.words), [1, 0xDEADBEEF]);
+        assert.strictEqual(o.first.buffer, o.words.buffer);
+    });
+});
+
+test("a view on a part of an ArrayBuffer is encoded by value", function() {
+    var large = new Uint8Array(1 << 20);
+    var small = large.subarray(10, 14);
+    small.set([1, 2, 3, 4]);
+    
+    var binary = JSBON.encode({ small: small });
+    assert.ok(binary.length < 32);
+    assert.deepStrictEqual(JSBON.decode(binary).small, new Uint8Array([1, 2, 3, 4]));
+    
+    binary = JSBON.encode(new DataView(large.buffer, 12, 2));
+    assert.ok(binary.length < 32);
+    var view = JSBON.decode(binary);
+    assert.strictEqual(view.buffer.byteLength, 2);
+    assert.strictEqual(view.getUint16(0), 0x0304);
+    
+    // Several views on the same ArrayBuffer share it
+    var o = JSBON.decode(JSBON.encode([small, large.subarray(0, 2)]));
+    assert.strictEqual(o[0].buffer, o[1].buffer);
+    assert.strictEqual(o[0].buffer.byteLength, large.byteLength);
+});
+
+test("a Node Buffer is encoded without the rest of its pool", function() {
+    var secret = Buffer.from("SECRET-PASSWORD");
+    var buffer = Buffer.from("hi");
+    assert.strictEqual(buffer.buffer, secret.buffer);
+    
+    var binary = JSBON.encode({ b: buffer });
+    assert.ok(!Buffer.from(binary).includes("SECRET"));
+    assert.deepStrictEqual(Array.from(JSBON.decode(binary).b), [0x68, 0x69]);
+});
+
+test("a typed array and its ArrayBuffer keep their own identity", function() {
+    var words = new Uint16Array([1, 0x1234]);
+    var o = JSBON.decode(JSBON.encode([words, words.buffer, words]));
+    assert.ok(o[0] instanceof Uint16Array);
+    assert.ok(o[1] instanceof ArrayBuffer);
+    assert.strictEqual(o[0].buffer, o[1]);
+    assert.strictEqual(o[2], o[0]);
+    assert.deepStrictEqual(Array.from(o[0]), [1, 0x1234]);
+});
+
+test("overlapping typed arrays of different types are rejected", function() {
+    var buffer = new ArrayBuffer(8);
+    assert.throws(function() {
+        JSBON.encode([buffer, new Uint16Array(buffer, 0, 4), new Uint32Array(buffer, 0, 2)]);
+    }, function(e) { return e.code === "UNSUPPORTED_TYPE"; });
+});
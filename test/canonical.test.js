@@ -0,0 +1,112 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var crypto = require("crypto");
+var JSBON = require("../JSBON");
+
+var KEY = new Uint8Array(32).fill(7);
+
+test("encrypted canonical data are checked without encrypting them again", function() {
+    var value = { b: [1, 2, 3], a: "text" };
+    var decrypt = { key: KEY, additionalData: "user" };
+    var canonical = JSBON.encode(value, { canonical: true, encrypt: { key: KEY, keyId: 2, additionalData: "user" } });
+    var other = JSBON.encode(value, { encrypt: { key: KEY, additionalData: "user" } });
+    var compressed = JSBON.encode(value, { canonical: true, compress: true, encrypt: { key: KEY } });
+    
+    var createCipheriv = crypto.createCipheriv, calls = 0;
+    crypto.createCipheriv = function() {
+        calls += 1;
+        return createCipheriv.apply(this, arguments);
+    };
+    try {
+        assert.strictEqual(JSBON.isCanonical(canonical, { decrypt: decrypt }), true);
+        assert.strictEqual(JSBON.isCanonical(other, { decrypt: decrypt }), false);
+        assert.strictEqual(JSBON.isCanonical(compressed, { decrypt: { key: KEY } }), true);
+    } finally {
+        crypto.createCipheriv = createCipheriv;
+    }
+    assert.strictEqual(calls, 0);
+});
+
+test("signed and encrypted canonical data are checked", function() {
+    var binary = JSBON.encode({ z: 1, y: 2 }, { canonical: true, encrypt: { key: KEY }, sign: { key: "secret", alg: "HMAC-SHA384" } });
+    assert.strictEqual(JSBON.isCanonical(binary, { decrypt: { key: KEY } }), true);
+});
+
+/**
+ * Build a value with objects having their properties in the given order.
+ */
+function build(order) {
+    function object(entries) {
+        var o = {};
+        (order === "reverse" ? entries.slice().reverse() : entries).forEach(function(entry) { o[entry[0]] = entry[1]; });
+        return o;
+    }
+    var shared = object([["id", 7], ["tags", ["x", "y"]]]);
+    return object([
+        ["name", "value"],
+        ["rows", [1, 2, 3].map(function(i) { return object([["x", i], ["y", "label " + (i % 2)], ["z", i / 2]]); })],
+        ["owner", shared],
+        ["editors", [shared, object([["id", 8]])]],
+        ["nested", object([["b", object([["d", "text"], ["c", "label 1"]])], ["a", shared]])]
+    ]);
+}
+
+function hex(binary) {
+    return Buffer.from(binary).toString("hex");
+}
+
+test("canonical encoding does not depend on the order of properties", function() {
+    [{}, { columnar: true }, { hasCRC: true }, { version: 1 }, { compress: true }].forEach(function(options) {
+        options = Object.assign({ canonical: true }, options);
+        var binary = JSBON.encode(build(), options);
+        assert.strictEqual(hex(JSBON.encode(build("reverse"), options)), hex(binary));
+        assert.strictEqual(JSBON.isCanonical(binary), true);
+        assert.deepStrictEqual(JSBON.decode(binary), build());
+    });
+    assert.notStrictEqual(hex(JSBON.encode(build("reverse"))), hex(JSBON.encode(build())));
+});
+
+test("canonical encoding uses shapes and references deterministically", function() {
+    var binary = JSBON.encode(build("reverse"), { canonical: true });
+    assert.notStrictEqual(binary.indexOf(JSBON.Encoder.TAG_SHAPED_OBJECT), -1);
+    
+    var decoded = JSBON.decode(binary);
+    assert.strictEqual(decoded.owner, decoded.editors[0]);
+    assert.strictEqual(decoded.owner, decoded.nested.a);
+    assert.strictEqual(hex(JSBON.encode(decoded, { canonical: true })), hex(binary));
+    
+    // Equal but distinct objects are not references
+    var copy = JSON.parse(JSON.stringify(build()));
+    assert.notStrictEqual(hex(JSBON.encode(copy, { canonical: true })), hex(binary));
+    assert.strictEqual(JSBON.isCanonical(JSBON.encode(copy, { canonical: true })), true);
+});
+
+test("canonical encoding sorts the keys of Maps and the values of Sets", function() {
+    var a = new Map([["x", 1], ["y", 2]]), b = new Map([["y", 2], ["x", 1]]);
+    assert.strictEqual(hex(JSBON.encode(a, { canonical: true })), hex(JSBON.encode(b, { canonical: true })));
+    assert.strictEqual(hex(JSBON.encode(new Set([1, 2]), { canonical: true })), hex(JSBON.encode(new Set([2, 1]), { canonical: true })));
+    assert.strictEqual(JSBON.isCanonical(JSBON.encode(b, { canonical: true })), true);
+    assert.strictEqual(JSBON.isCanonical(JSBON.encode(b)), false);
+    assert.deepStrictEqual(Array.from(JSBON.decode(JSBON.encode(b, { canonical: true })).keys()), ["x", "y"]);
+    
+    var values = ["b", 2n, "a", true, 10, null, -1, NaN, false, undefined, 1n, 2.5];
+    var set = JSBON.decode(JSBON.encode(new Set(values), { canonical: true }));
+    assert.deepStrictEqual(Array.from(set), [null, false, true, NaN, -1, 2.5, 10, 1n, 2n, "a", "b", undefined]);
+});
+
+test("Maps and Sets which cannot be sorted are not encoded canonically", function() {
+    var key = { id: 1 };
+    assert.throws(function() {
+        JSBON.encode({ m: new Map([[key, 1], ["x", 2]]) }, { canonical: true });
+    }, { code: "UNSUPPORTED_TYPE", path: ["m"] });
+    assert.throws(function() {
+        JSBON.encode([new Set([[1], [2]])], { canonical: true });
+    }, { code: "UNSUPPORTED_TYPE" });
+    assert.strictEqual(JSBON.isCanonical(JSBON.encode(new Set([key, 1]))), false);
+    
+    // A single key or value needs no order
+    var binary = JSBON.encode({ m: new Map([[key, 1]]), s: new Set([key]) }, { canonical: true });
+    assert.strictEqual(JSBON.isCanonical(binary), true);
+});
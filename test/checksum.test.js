@@ -0,0 +1,60 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+function checksum(name) {
+    return Array.from(JSBON.Encoder.CHECKSUMS.values()).find(function(algorithm) { return algorithm.name === name; });
+}
+
+// Large input, past the blocks of Adler-32 and the lanes of xxHash32
+var large = new Uint8Array(100000).map(function(value, i) { return (i * 7) & 0xFF; });
+
+test("checksum algorithms give the known answers", function() {
+    var vectors = {
+        crc32: { "": 0, "123456789": 0xCBF43926, "The quick brown fox jumps over the lazy dog": 0x414FA339, large: 0x0EAF0153 },
+        crc32c: { "": 0, "123456789": 0xE3069283, "The quick brown fox jumps over the lazy dog": 0x22620404, large: 0x31CE2478 },
+        adler32: { "": 1, "123456789": 0x091E01DE, "Wikipedia": 0x11E60398, large: 0x6A10942F },
+        xxhash32: { "": 0x02CC5D05, "123456789": 0x937BAD67, "Nobody inspects the spammish repetition": 0xE2293B2F, large: 0xEE1EEA9C }
+    };
+    Object.keys(vectors).forEach(function(name) {
+        var algorithm = checksum(name);
+        Object.keys(vectors[name]).forEach(function(input) {
+            var data = (input === "large") ? large : new TextEncoder().encode(input);
+            assert.strictEqual(algorithm.compute(data), vectors[name][input], name + " of " + input);
+        });
+    });
+    assert.deepStrictEqual(Array.from(JSBON.Encoder.CHECKSUMS.keys()), [1, 2, 3, 4]);
+});
+
+test("the checksum covers the tables of strings, unlike the CRC32", function() {
+    var value = { name: "value", list: [1, 2, 3] };
+    
+    function tamper(binary) {
+        var corrupt = Uint8Array.from(binary);
+        corrupt[Buffer.from(corrupt).indexOf("name")] = "g".charCodeAt(0);
+        return corrupt;
+    }
+    
+    ["crc32", "crc32c", "adler32", "xxhash32"].forEach(function(name) {
+        var binary = JSBON.encode(value, { checksum: name });
+        assert.deepStrictEqual(JSBON.decode(binary), value);
+        assert.throws(function() {
+            JSBON.decode(tamper(binary));
+        }, { code: "CRC_MISMATCH", reason: "Checksum mismatch (" + name + ")" });
+        
+        var corrupt = Uint8Array.from(binary);
+        corrupt[corrupt.length - 1] ^= 1;
+        assert.throws(function() {
+            JSBON.decode(corrupt);
+        }, { code: "CRC_MISMATCH" });
+    });
+    
+    // The CRC32 only covers the encoded objects
+    assert.deepStrictEqual(JSBON.decode(tamper(JSBON.encode(value, { hasCRC: true }))), { game: "value", list: [1, 2, 3] });
+    
+    assert.throws(function() {
+        JSBON.encode(value, { checksum: "md5" });
+    }, { code: "INVALID_ARGUMENT" });
+});
@@ -0,0 +1,84 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var childProcess = require("child_process");
+var path = require("path");
+var JSBON = require("../JSBON");
+
+var CLI = path.join(__dirname, "..", "bin", "jsbon.js");
+
+/**
+ * Run the command-line tool with the given arguments and standard input.
+ */
+function run(args, input) {
+    var result = childProcess.spawnSync(process.execPath, [CLI].concat(args), { input: input });
+    return { status: result.status, stdout: result.stdout.toString(), stderr: result.stderr.toString() };
+}
+
+test("sequences appended to a new file are decoded and inspected", function() {
+    var encoder = new JSBON.SequenceEncoder({ append: true });
+    var binary = Buffer.concat([encoder.encode({ a: 1 }), encoder.encode({ a: 2 })]);
+    
+    var result = run(["decode"], binary);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(result.stdout, '{"a":1}\n{"a":2}\n');
+    
+    result = run(["inspect"], binary);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Records: +2/);
+});
+
+test("property names starting with \"$\" are not taken for tags", function() {
+    var shared = { $ref: "/a" };
+    var value = { $undefined: true, $date: "2020", $map: [], $binary: "AQID", type: "Uint8Array", $$key: 1, a: shared, b: shared, c: undefined };
+    var result = run(["decode", "--indent", "0"], Buffer.from(JSBON.encode(value)));
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(JSON.parse(result.stdout), {
+        $$undefined: true, $$date: "2020", $$map: [], $$binary: "AQID", type: "Uint8Array", $$$key: 1,
+        a: { $$ref: "/a" }, b: { $ref: "/a" }, c: { $undefined: true }
+    });
+    
+    var inner = { y: 1 };
+    result = run(["decode", "--indent", "0"], Buffer.from(JSBON.encode({ $x: inner, z: inner }, { hasCRC: true })));
+    assert.deepStrictEqual(JSON.parse(result.stdout), { $$x: { y: 1 }, z: { $ref: "/$$x" } });
+    
+    var cycle = { $self: null };
+    cycle.$self = cycle;
+    cycle.list = [{ $v: cycle }];
+    cycle.list[0].again = cycle.list[0];
+    result = run(["decode", "--indent", "0"], Buffer.from(JSBON.encode(cycle)));
+    assert.deepStrictEqual(JSON.parse(result.stdout), { $$self: { $ref: "" }, list: [{ $$v: { $ref: "" }, again: { $ref: "/list/0" } }] });
+});
+
+test("signed and encrypted data are decoded and inspected with keys", function() {
+    var key = new Uint8Array(16).fill(1), hexKey = Buffer.from(key).toString("hex");
+    var binary = Buffer.from(JSBON.encode({ a: [1, "x"] }, { sign: { key: "secret", alg: "HMAC-SHA512" }, encrypt: { key: key, additionalData: "user" } }));
+    
+    var result = run(["decode", "--indent", "0", "--verify-key", "secret", "--decrypt-key", hexKey, "--additional-data", "user"], binary);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(JSON.parse(result.stdout), { a: [1, "x"] });
+    
+    result = run(["decode", "--verify-key", "hex:" + Buffer.from("secret").toString("hex"), "--decrypt-key", hexKey, "--additional-data", "user"], binary);
+    assert.strictEqual(result.status, 0, result.stderr);
+    
+    result = run(["decode", "--verify-key", "other", "--decrypt-key", hexKey, "--additional-data", "user"], binary);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Signature mismatch/);
+    
+    result = run(["decode", "--decrypt-key", hexKey], binary);
+    assert.strictEqual(result.status, 1);
+    
+    result = run(["inspect", "--verify-key", "secret", "--decrypt-key", hexKey, "--additional-data", "user"], binary);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Signature: +valid/);
+    assert.match(result.stdout, /Strings: +1 /);
+    
+    result = run(["inspect", "--verify-key", "other"], binary);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Signature: +MISMATCH/);
+    assert.match(result.stdout, /Values: +encrypted, not shown/);
+    
+    result = run(["inspect", "--decrypt-key", "xyz"], binary);
+    assert.strictEqual(result.status, 2);
+});
@@ -0,0 +1,47 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+var VALUE = { text: "repeated ".repeat(20), numbers: [1, 2, 3, 1, 2, 3, 1, 2, 3] };
+
+/**
+ * Compressed data with the uncompressed size replaced (the size following the three bytes of
+ * the header).
+ */
+function forge(size) {
+    var binary = JSBON.encode(VALUE, { compress: true });
+    var count = [], end = 3;
+    while (binary[end] & 0x80) {
+        end++;
+    }
+    do {
+        count.push((size % 128) + (size >= 128 ? 0x80 : 0));
+        size = Math.floor(size / 128);
+    } while (size > 0);
+    return Buffer.concat([binary.subarray(0, 3), Buffer.from(count), binary.subarray(end + 1)]);
+}
+
+test("compressed data are decoded", function() {
+    assert.deepStrictEqual(JSBON.decode(JSBON.encode(VALUE, { compress: true })), VALUE);
+    assert.deepStrictEqual(JSBON.decode(forge(JSBON.encode(VALUE).length - 3)), VALUE);
+});
+
+test("forged uncompressed sizes are rejected before allocating", function() {
+    var binary = new Uint8Array([0x02, 0x00, 0x10, 0x80, 0x80, 0x80, 0x80, 0x01, 0x10, 0x00]);
+    assert.throws(function() {
+        JSBON.decode(binary);
+    }, { code: "TRUNCATED", offset: 8 });
+    
+    [0, 1, JSBON.encode(VALUE).length - 4, JSBON.encode(VALUE).length - 2, 100000, 0x7FFFFFFF, Math.pow(2, 52)].forEach(function(size) {
+        assert.throws(function() {
+            JSBON.decode(forge(size));
+        }, function(e) {
+            return e instanceof JSBON.JSBONError && (e.code === "INVALID_DATA" || e.code === "TRUNCATED");
+        });
+    });
+    assert.throws(function() {
+        JSBON.decode(forge(100000));
+    }, { code: "TRUNCATED" });
+});
@@ -0,0 +1,96 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+var samples = [
+    { status: "active", kind: "user", name: "a" },
+    { status: "active", kind: "admin", name: "b" },
+    { status: "closed", kind: "user", name: "c" }
+];
+var dictionary = JSBON.createDictionary(samples);
+var message = { status: "active", kind: "user", name: "d", tags: ["active", "new"] };
+
+function contains(binary, string) {
+    return Buffer.from(binary).indexOf(string) !== -1;
+}
+
+test("dictionaries hold the property names and strings shared by samples", function() {
+    assert.deepStrictEqual(dictionary.keys, ["status", "kind", "name"]);
+    assert.deepStrictEqual(dictionary.strings, ["active", "user"]);
+    assert.deepStrictEqual(JSBON.createDictionary(samples, { maxKeys: 1, maxStrings: 0 }).keys, ["status"]);
+    assert.deepStrictEqual(JSBON.createDictionary(samples, { minSamples: 3 }).strings, []);
+    
+    assert.throws(function() {
+        new JSBON.Dictionary(["a", "a"], []);
+    }, { code: "INVALID_ARGUMENT" });
+});
+
+test("values encoded with a dictionary only hold the other strings", function() {
+    [{}, { compress: true }, { canonical: true }, { hasCRC: true }].forEach(function(options) {
+        var binary = JSBON.encode(message, Object.assign({ dictionary: dictionary }, options));
+        assert.deepStrictEqual(JSBON.decode(binary, { dictionary: dictionary }), message);
+        if (!options.compress) {
+            assert.ok(!contains(binary, "status") && !contains(binary, "active"));
+            assert.ok(contains(binary, "new"));
+            assert.ok(binary.length < JSBON.encode(message, options).length);
+        }
+    });
+    assert.strictEqual(JSBON.isCanonical(JSBON.encode(message, { canonical: true, dictionary: dictionary }), { dictionary: dictionary }), true);
+});
+
+test("values are not decoded without their dictionary", function() {
+    var binary = JSBON.encode(message, { dictionary: dictionary });
+    assert.throws(function() {
+        JSBON.decode(binary);
+    }, { code: "DICTIONARY_MISMATCH", reason: "Dictionary " + dictionary.id + " required" });
+    
+    var other = new JSBON.Dictionary(["status", "kind"], ["active"]);
+    assert.throws(function() {
+        JSBON.decode(binary, { dictionary: other });
+    }, { code: "DICTIONARY_MISMATCH", reason: "Dictionary " + dictionary.id + " required, not " + other.id });
+    assert.throws(function() {
+        new JSBON.StreamDecoder().push(binary);
+    }, { code: "DICTIONARY_MISMATCH" });
+});
+
+test("dictionaries are loaded from their binary representation", function() {
+    var saved = dictionary.encode();
+    var loaded = JSBON.loadDictionary(saved);
+    assert.ok(loaded instanceof JSBON.Dictionary);
+    assert.strictEqual(loaded.id, dictionary.id);
+    assert.deepStrictEqual(loaded.keys, dictionary.keys);
+    assert.deepStrictEqual(loaded.strings, dictionary.strings);
+    assert.deepStrictEqual(JSBON.decode(JSBON.encode(message, { dictionary: dictionary }), { dictionary: loaded }), message);
+    
+    var extra = new Uint8Array(saved.length + 1);
+    extra.set(saved);
+    assert.throws(function() {
+        JSBON.loadDictionary(extra);
+    }, { code: "INVALID_DATA" });
+    assert.throws(function() {
+        JSBON.loadDictionary(saved.subarray(0, saved.length - 1));
+    }, { code: "TRUNCATED" });
+});
+
+test("dictionaries are used with sequences and stream encoding", function() {
+    var binary = JSBON.encodeSequence(samples, { dictionary: dictionary });
+    assert.deepStrictEqual(JSBON.decodeSequence(binary, { dictionary: dictionary }), samples);
+    assert.ok(!contains(binary, "status"));
+    assert.throws(function() {
+        JSBON.decodeSequence(binary);
+    }, { code: "DICTIONARY_MISMATCH" });
+    
+    var chunks = [];
+    return JSBON.encodeStream(message, function(chunk) {
+        chunks.push(Uint8Array.from(chunk));
+    }, { dictionary: dictionary }).then(function() {
+        var decoder = new JSBON.StreamDecoder({ dictionary: dictionary });
+        chunks.forEach(function(chunk) {
+            decoder.push(chunk);
+        });
+        assert.deepStrictEqual(decoder.end(), message);
+        assert.ok(!chunks.some(function(chunk) { return contains(chunk, "status"); }));
+    });
+});
@@ -0,0 +1,101 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+function nested(depth) {
+    // Header without tables, then nested arrays of one element, around the number 1
+    var binary = new Uint8Array(5 + 2 * depth + 2);
+    binary.set(JSBON.encode([]).subarray(0, 5));
+    for (var i = 0; i < depth; i++) {
+        binary.set([0x31, 0x01], 5 + 2 * i);
+    }
+    binary.set([0x12, 0x01], 5 + 2 * depth);
+    return binary;
+}
+
+test("invalid UTF-8 is reported as invalid data", function() {
+    var binary = JSBON.encode({ a: "é" });
+    var position = binary.indexOf(0xC3);
+    binary[position] = 0xFF;
+    assert.throws(function() {
+        JSBON.decode(binary);
+    }, function(e) {
+        return e instanceof JSBON.JSBONError && e.code === "INVALID_DATA" && e.offset === position;
+    });
+});
+
+test("truncated data is reported as such", function() {
+    var binary = JSBON.encode({ a: [1.5, 2.5], b: "text" });
+    for (var size = 1; size < binary.length; size++) {
+        assert.throws(function() {
+            JSBON.decode(binary.subarray(0, size));
+        }, function(e) {
+            return e instanceof JSBON.JSBONError && (e.code === "TRUNCATED" || e.code === "INVALID_DATA");
+        });
+    }
+});
+
+test("reads do not go past the end of a view on a larger buffer", function() {
+    var binary = JSBON.encode(1.5);
+    var buffer = new Uint8Array(64);
+    buffer.set(binary);
+    assert.throws(function() {
+        JSBON.decode(buffer.subarray(0, binary.length - 2));
+    }, { code: "TRUNCATED" });
+});
+
+test("deeply nested values exceed a limit rather than the call stack", function() {
+    var binary = nested(200000);
+    var check = function(e) {
+        return e instanceof JSBON.JSBONError && e.code === "LIMIT_EXCEEDED";
+    };
+    var unlimited = { maxDepth: Infinity };
+    assert.throws(function() { JSBON.decode(binary, unlimited); }, check);
+    assert.throws(function() { JSBON.decode(binary, { maxDepth: Infinity, reviver: function(k, v) { return v; } }); }, check);
+    assert.throws(function() { JSBON.get(binary, "0/0", unlimited); }, check);
+    assert.throws(function() {
+        var decoder = new JSBON.StreamDecoder(unlimited);
+        decoder.push(binary);
+        decoder.end();
+    }, check);
+    assert.deepStrictEqual(JSBON.decode(nested(3)), [[[1]]]);
+});
+
+test("the nesting depth is limited by default", function() {
+    assert.strictEqual(JSBON.decode(nested(999)).length, 1);
+    assert.throws(function() {
+        JSBON.decode(nested(1000));
+    }, { code: "LIMIT_EXCEEDED", reason: "Limit exceeded: maxDepth 1001" });
+    assert.throws(function() {
+        JSBON.decode(nested(10), { maxDepth: 5 });
+    }, { code: "LIMIT_EXCEEDED" });
+    assert.strictEqual(JSBON.decode(nested(1500), { maxDepth: Infinity }).length, 1);
+});
+
+test("large BigInts exceed a limit, and are decoded in linear time", function() {
+    // Header without tables, then a BigInt varint of the given size
+    function bigint(size) {
+        var binary = new Uint8Array(5 + 1 + size).fill(0xFF);
+        binary.set(JSBON.encode([]).subarray(0, 5));
+        binary[5] = JSBON.Encoder.TAG_BIGINT;
+        binary[binary.length - 1] = 0x01;
+        return binary;
+    }
+    
+    assert.strictEqual(JSBON.decode(bigint(1024)), -(1n << 7161n));
+    assert.throws(function() {
+        JSBON.decode(bigint(1025));
+    }, { code: "LIMIT_EXCEEDED", reason: "Limit exceeded: maxBigIntLength 1025" });
+    assert.throws(function() {
+        JSBON.decode(bigint(320000));
+    }, { code: "LIMIT_EXCEEDED" });
+    assert.throws(function() {
+        JSBON.decode(bigint(100), { maxBigIntLength: 10 });
+    }, { code: "LIMIT_EXCEEDED" });
+    
+    var start = Date.now();
+    assert.strictEqual(typeof JSBON.decode(bigint(320000), { maxBigIntLength: Infinity }), "bigint");
+    assert.ok(Date.now() - start < 2000);
+});
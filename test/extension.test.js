@@ -0,0 +1,124 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+function roundTrip(value, options) {
+    return JSBON.decode(JSBON.encode(value, options));
+}
+
+/**
+ * Load another instance of the module, with no registered types.
+ */
+function loadFresh() {
+    var path = require.resolve("../JSBON");
+    var cached = require.cache[path];
+    delete require.cache[path];
+    try {
+        return require("../JSBON");
+    } finally {
+        require.cache[path] = cached;
+    }
+}
+
+class Vector {
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+    length() {
+        return Math.hypot(this.x, this.y);
+    }
+}
+JSBON.registerType(1, Vector);
+
+class Money {
+    constructor(amount, currency) {
+        this.amount = amount;
+        this.currency = currency;
+    }
+}
+JSBON.registerType("Money", Money, {
+    encode: function(money) { return [money.amount, money.currency]; },
+    decode: function(value) { return new Money(value[0], value[1]); }
+});
+
+test("registered types are restored with their prototype", function() {
+    [{}, { compress: true }, { columnar: true }].forEach(function(options) {
+        var o = roundTrip({ v: new Vector(3, 4), price: new Money(12.5, "EUR"), list: [new Vector(1, 0)] }, options);
+        assert.ok(o.v instanceof Vector);
+        assert.strictEqual(o.v.length(), 5);
+        assert.deepStrictEqual(o.v, new Vector(3, 4));
+        assert.ok(o.price instanceof Money);
+        assert.deepStrictEqual(o.price, new Money(12.5, "EUR"));
+        assert.ok(o.list[0] instanceof Vector);
+    });
+    
+    var chunks = [];
+    return JSBON.encodeStream([new Vector(5, 12), new Money(1, "USD")], function(chunk) {
+        chunks.push(Uint8Array.from(chunk));
+    }).then(function() {
+        var decoder = new JSBON.StreamDecoder();
+        chunks.forEach(function(chunk) {
+            decoder.push(chunk);
+        });
+        var o = decoder.end();
+        assert.strictEqual(o[0].length(), 13);
+        assert.deepStrictEqual(o[1], new Money(1, "USD"));
+    });
+});
+
+test("registered instances keep their identity, and may be part of cycles", function() {
+    var v = new Vector(1, 2);
+    var price = new Money(3, "GBP");
+    var o = roundTrip({ a: v, b: [v, price], c: price });
+    assert.strictEqual(o.a, o.b[0]);
+    assert.strictEqual(o.c, o.b[1]);
+    
+    // Own properties may refer to the instance, or to objects referring to it
+    var self = new Vector(0, 0);
+    self.next = self;
+    self.list = [{ owner: self }];
+    o = roundTrip({ self: self });
+    assert.ok(o.self instanceof Vector);
+    assert.strictEqual(o.self.next, o.self);
+    assert.strictEqual(o.self.list[0].owner, o.self);
+    
+    // The value of an instance with an encode function may refer to other instances
+    var owner = { name: "owner" };
+    owner.wallet = new Money(owner, "EUR");
+    o = roundTrip(owner);
+    assert.strictEqual(o.wallet.amount, o);
+});
+
+test("types are registered once, with valid identifiers and functions", function() {
+    [-1, 1.5, "", null].forEach(function(id) {
+        assert.throws(function() {
+            JSBON.registerType(id, class {});
+        }, { code: "INVALID_ARGUMENT" });
+    });
+    assert.throws(function() {
+        JSBON.registerType(1, class {});
+    }, { code: "INVALID_ARGUMENT" });
+    assert.throws(function() {
+        JSBON.registerType(2, Vector);
+    }, { code: "INVALID_ARGUMENT" });
+    assert.throws(function() {
+        JSBON.registerType(3, class {}, { encode: function(value) { return value; } });
+    }, { code: "INVALID_ARGUMENT" });
+});
+
+test("data with unregistered types are rejected", function() {
+    var binary = JSBON.encode({ v: [new Vector(3, 4)] });
+    var fresh = loadFresh();
+    assert.throws(function() {
+        fresh.decode(binary);
+    }, { code: "UNSUPPORTED_TYPE", reason: "Unknown extension type 1", path: ["v", 0] });
+    
+    // Registered without a decode function, while encoded with one
+    fresh.registerType("Money", Money);
+    assert.throws(function() {
+        fresh.decode(JSBON.encode(new Money(1, "EUR")));
+    }, { code: "UNSUPPORTED_TYPE", reason: "Extension type has no decode function Money" });
+});
@@ -0,0 +1,88 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+var Encoder = JSBON.Encoder;
+
+function roundTrip(value, options) {
+    return JSBON.decode(JSBON.encode(value, options));
+}
+
+// Size of the header and of the empty tables of strings, before the tag of the value
+var HEADER_SIZE = JSBON.encode(0).length - 2;
+
+/**
+ * Get the tag of a value encoded alone, and the number of bytes following it.
+ */
+function encoded(value) {
+    var binary = JSBON.encode(value);
+    return { tag: binary[HEADER_SIZE], size: binary.length - HEADER_SIZE - 1 };
+}
+
+test("integers are encoded with the smallest tag", function() {
+    [
+        [0, Encoder.TAG_UINT8, 1], [255, Encoder.TAG_UINT8, 1], [256, Encoder.TAG_UINT16, 2],
+        [65535, Encoder.TAG_UINT16, 2], [65536, Encoder.TAG_UINT32, 4], [Math.pow(2, 32) - 1, Encoder.TAG_UINT32, 4],
+        [-1, Encoder.TAG_INT8, 1], [-128, Encoder.TAG_INT8, 1], [-129, Encoder.TAG_INT16, 2],
+        [-32768, Encoder.TAG_INT16, 2], [-32769, Encoder.TAG_INT32, 4], [-Math.pow(2, 31), Encoder.TAG_INT32, 4]
+    ].forEach(function(entry) {
+        assert.deepStrictEqual(encoded(entry[0]), { tag: entry[1], size: entry[2] }, String(entry[0]));
+        assert.strictEqual(roundTrip(entry[0]), entry[0]);
+    });
+});
+
+test("larger safe integers are encoded as varints, 7 bits per byte", function() {
+    [
+        // Zig-zag values from 2^33 (5 bytes) to 2^54 (8 bytes)
+        [Math.pow(2, 32), 5], [-Math.pow(2, 31) - 1, 5],
+        [Math.pow(2, 34) - 1, 5], [Math.pow(2, 34), 6], [-Math.pow(2, 34), 5], [-Math.pow(2, 34) - 1, 6],
+        [Math.pow(2, 41) - 1, 6], [Math.pow(2, 41), 7], [Math.pow(2, 48) - 1, 7], [Math.pow(2, 48), 8],
+        [Number.MAX_SAFE_INTEGER, 8], [Number.MIN_SAFE_INTEGER, 8]
+    ].forEach(function(entry) {
+        assert.deepStrictEqual(encoded(entry[0]), { tag: Encoder.TAG_VARINT, size: entry[1] }, String(entry[0]));
+        assert.strictEqual(roundTrip(entry[0]), entry[0]);
+    });
+    
+    // Unsafe integers are 64-bit floats
+    [Math.pow(2, 53), -Math.pow(2, 53), Math.pow(2, 53) + 2, 1e20].forEach(function(value) {
+        assert.deepStrictEqual(encoded(value), { tag: Encoder.TAG_NUMBER, size: 8 });
+        assert.strictEqual(roundTrip(value), value);
+    });
+    
+    // Also in arrays and objects, and as version 1 64-bit floats
+    var values = [Math.pow(2, 32), -Math.pow(2, 31) - 1, Number.MAX_SAFE_INTEGER, Number.MIN_SAFE_INTEGER, "x"];
+    assert.deepStrictEqual(roundTrip({ values: values }), { values: values });
+    assert.deepStrictEqual(roundTrip({ values: values }, { version: 1 }), { values: values });
+});
+
+test("BigInts are encoded as zig-zag varints", function() {
+    [[0n, 1], [63n, 1], [-64n, 1], [64n, 2], [-65n, 2], [8191n, 2], [8192n, 3]].forEach(function(entry) {
+        assert.deepStrictEqual(encoded(entry[0]), { tag: Encoder.TAG_BIGINT, size: entry[1] }, String(entry[0]));
+        assert.strictEqual(roundTrip(entry[0]), entry[0]);
+    });
+    
+    var values = [1n, -1n, 1n << 63n, -(1n << 63n), (1n << 63n) - 1n, -(1n << 63n) - 1n, 1n << 64n, BigInt(Number.MAX_SAFE_INTEGER) + 2n];
+    assert.deepStrictEqual(roundTrip(values), values);
+    assert.strictEqual(encoded(1n << 63n).size, 10);
+    
+    // BigInts are not numbers, even when small
+    assert.deepStrictEqual(roundTrip([1n, 1, new Map([[2n, 2]])]), [1n, 1, new Map([[2n, 2]])]);
+});
+
+test("very large BigInts are encoded, within the decoding limit", function() {
+    // 1024 bytes of 7 bits hold zig-zag values below 2^7168
+    var largest = (1n << 7167n) - 1n;
+    var values = [3n ** 4000n, -(7n ** 2000n), largest, -(1n << 7167n)];
+    values.forEach(function(value) {
+        assert.strictEqual(roundTrip(value), value);
+    });
+    assert.strictEqual(encoded(largest).size, 1024);
+    
+    var binary = JSBON.encode(largest + 1n);
+    assert.throws(function() {
+        JSBON.decode(binary);
+    }, { code: "LIMIT_EXCEEDED" });
+    assert.strictEqual(JSBON.decode(binary, { maxBigIntLength: Infinity }), largest + 1n);
+});
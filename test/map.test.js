@@ -0,0 +1,60 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+function roundTrip(value, options) {
+    return JSBON.decode(JSBON.encode(value, options));
+}
+
+test("Maps and Sets are decoded as such", function() {
+    var map = new Map([[1, "one"], ["two", 2], [null, [true]], [undefined, { a: 1 }]]);
+    var set = new Set([1, "1", null, 2.5, -3n]);
+    var o = roundTrip({ map: map, set: set, empty: new Map(), none: new Set() });
+    assert.ok(o.map instanceof Map);
+    assert.ok(o.set instanceof Set);
+    assert.deepStrictEqual(Array.from(o.map), Array.from(map));
+    assert.deepStrictEqual(Array.from(o.set), Array.from(set));
+    assert.strictEqual(o.empty.size, 0);
+    assert.strictEqual(o.none.size, 0);
+});
+
+test("Maps and Sets referred to several times keep their identity", function() {
+    var map = new Map([["a", 1]]);
+    var set = new Set(["x"]);
+    var o = roundTrip({ m1: map, m2: map, s1: set, list: [set, map] });
+    assert.strictEqual(o.m1, o.m2);
+    assert.strictEqual(o.list[1], o.m1);
+    assert.strictEqual(o.s1, o.list[0]);
+    assert.deepStrictEqual(Array.from(o.m1), [["a", 1]]);
+});
+
+test("objects shared between keys and values keep their identity", function() {
+    var key = { id: 1 };
+    var other = { id: 2 };
+    var map = new Map([[key, other], [other, key]]);
+    var o = roundTrip({ map: map, set: new Set([key, other]), key: key });
+    var keys = Array.from(o.map.keys());
+    assert.strictEqual(keys[0], o.key);
+    assert.strictEqual(o.map.get(o.key), keys[1]);
+    assert.strictEqual(o.map.get(keys[1]), o.key);
+    assert.deepStrictEqual(Array.from(o.set), keys);
+});
+
+test("cyclic Maps and Sets are restored", function() {
+    var map = new Map();
+    map.set("self", map);
+    map.set(map, "key");
+    var set = new Set();
+    set.add(set);
+    set.add(map);
+    
+    [{}, { compress: true }].forEach(function(options) {
+        var o = roundTrip({ map: map, set: set }, options);
+        assert.strictEqual(o.map.get("self"), o.map);
+        assert.strictEqual(o.map.get(o.map), "key");
+        assert.ok(o.set.has(o.set));
+        assert.ok(o.set.has(o.map));
+    });
+});
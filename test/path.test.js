@@ -0,0 +1,35 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+var VALUE = {
+    ratings: { "*": 5, "**": 4, good: 3 },
+    "a/b": { "~": 1 },
+    list: [{ name: "x" }, { name: "y" }],
+    map: new Map([["*", "star"], ["k", "key"]])
+};
+var BINARY = JSBON.encode(VALUE);
+
+test("values are found by their path", function() {
+    assert.strictEqual(JSBON.get(BINARY, ["list", 1, "name"]), "y");
+    assert.strictEqual(JSBON.get(BINARY, "/list/1/name"), "y");
+    assert.strictEqual(JSBON.get(BINARY, "/a~1b/~0"), 1);
+    assert.strictEqual(JSBON.get(BINARY, "/missing"), undefined);
+});
+
+test("the wildcard matches all members", function() {
+    assert.deepStrictEqual(JSBON.get(BINARY, "/list/*/name"), ["x", "y"]);
+    assert.deepStrictEqual(JSBON.get(BINARY, ["list", JSBON.WILDCARD, "name"]), ["x", "y"]);
+    assert.deepStrictEqual(JSBON.get(BINARY, "/ratings/*"), [5, 4, 3]);
+    assert.deepStrictEqual(JSBON.get(BINARY, ["map", JSBON.WILDCARD]), ["star", "key"]);
+});
+
+test("a \"*\" name is not a wildcard when escaped or in an array", function() {
+    assert.strictEqual(JSBON.get(BINARY, "/ratings/~2"), 5);
+    assert.strictEqual(JSBON.get(BINARY, "/ratings/~2~2"), 4);
+    assert.strictEqual(JSBON.get(BINARY, ["ratings", "*"]), 5);
+    assert.strictEqual(JSBON.get(BINARY, ["map", "*"]), "star");
+    assert.strictEqual(JSBON.get(BINARY, "/map/~2"), "star");
+});
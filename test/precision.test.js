@@ -0,0 +1,57 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+function roundTrip(value, options) {
+    return JSBON.decode(JSBON.encode(value, options));
+}
+
+var numbers = [48.8566142123, -2.3456789012345, 0.1 + 0.2, 1234.5678901234567, -0.000123456789, 1e-20, 1.999, 2.5, -2.5];
+
+test("numbers are rounded to the given number of decimal digits", function() {
+    for (var precision = 0; precision <= 15; precision += 1) {
+        var scale = Math.pow(10, precision);
+        // Rounded to -0 if small and negative, decoded as 0 (as -0 is not kept)
+        var expected = numbers.map(function(value) { return Math.round(value * scale) / scale + 0; });
+        var options = { precision: precision };
+        
+        // Alone, in objects, as packed arrays and as columns
+        assert.deepStrictEqual(numbers.map(function(value) { return roundTrip(value, options); }), expected);
+        assert.deepStrictEqual(roundTrip({ a: numbers[0], b: [numbers[1], "x"] }, options), { a: expected[0], b: [expected[1], "x"] });
+        assert.deepStrictEqual(roundTrip(numbers, options), expected);
+        var rows = numbers.map(function(value) { return { x: value }; });
+        assert.deepStrictEqual(roundTrip(rows, Object.assign({ columnar: true }, options)), expected.map(function(value) { return { x: value }; }));
+    }
+    assert.deepStrictEqual(roundTrip([48.8566142, 1.999], { precision: 6 }), [48.856614, 1.999]);
+    assert.deepStrictEqual(roundTrip([48.8566142, 1.999], { precision: 2 }), [48.86, 2]);
+});
+
+test("numbers are rounded to 32-bit floats", function() {
+    var expected = numbers.map(Math.fround);
+    assert.deepStrictEqual(roundTrip(numbers, { precision: "float32" }), expected);
+    assert.deepStrictEqual(roundTrip({ a: 1.1, b: [2.2, "x"] }, { precision: "float32" }), { a: Math.fround(1.1), b: [Math.fround(2.2), "x"] });
+    assert.strictEqual(roundTrip(48.8566142, { precision: "float32" }), 48.85661315917969);
+});
+
+test("integers, NaN and infinite values are kept unchanged", function() {
+    var values = [0, 1, -7, 255, 65536, -2147483648, Math.pow(2, 40), Number.MAX_SAFE_INTEGER, Math.pow(2, 53) + 2, 1e300, NaN, Infinity, -Infinity];
+    ["float32", 0, 2, 15].forEach(function(precision) {
+        assert.deepStrictEqual(roundTrip(values, { precision: precision }), values);
+        values.forEach(function(value) {
+            assert.deepStrictEqual(roundTrip({ value: value }, { precision: precision }), { value: value });
+        });
+    });
+    
+    // Numbers too large to be scaled are kept as well
+    assert.strictEqual(roundTrip(3.5e15 + 0.5, { precision: 1 }), 3.5e15 + 0.5);
+});
+
+test("invalid precisions are rejected", function() {
+    [-1, 16, 1.5, "float64", null].forEach(function(precision) {
+        assert.throws(function() {
+            JSBON.encode(1.5, { precision: precision });
+        }, { code: "INVALID_ARGUMENT" });
+    });
+});
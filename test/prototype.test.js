@@ -0,0 +1,80 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+// Payloads with property names that could reach Object.prototype if assigned naively
+var PAYLOADS = [
+    '{"__proto__": {"polluted": true}}',
+    '{"constructor": {"prototype": {"polluted": true}}}',
+    '{"prototype": {"polluted": true}}',
+    '{"a": [{"__proto__": {"polluted": true}}], "b": {"constructor": {"prototype": {"polluted": true}}}}'
+];
+
+function snapshot() {
+    return Object.getOwnPropertyNames(Object.prototype).sort();
+}
+
+function assertUnpolluted(before) {
+    assert.deepStrictEqual(snapshot(), before);
+    assert.strictEqual({}.polluted, undefined);
+    assert.strictEqual(Object.prototype.polluted, undefined);
+}
+
+PAYLOADS.forEach(function(payload) {
+    var binary = JSBON.encode(JSON.parse(payload));
+    
+    test("decode " + payload, function() {
+        var before = snapshot();
+        var o = JSBON.decode(binary);
+        assertUnpolluted(before);
+        assert.strictEqual(Object.getPrototypeOf(o), Object.prototype);
+        assert.deepStrictEqual(Object.keys(o), Object.keys(JSON.parse(payload)));
+    });
+    
+    test("decode " + payload + " with nullPrototype", function() {
+        var before = snapshot();
+        var o = JSBON.decode(binary, { nullPrototype: true });
+        assertUnpolluted(before);
+        assert.strictEqual(Object.getPrototypeOf(o), null);
+        assert.deepStrictEqual(Object.keys(o), Object.keys(JSON.parse(payload)));
+    });
+    
+    test("decode " + payload + " with a reviver", function() {
+        var before = snapshot();
+        JSBON.decode(binary, { reviver: function(key, value) { return value; } });
+        JSBON.decode(binary, { reviver: function(key, value) { return value; }, nullPrototype: true });
+        assertUnpolluted(before);
+    });
+    
+    test("view and get " + payload, function() {
+        var before = snapshot();
+        var view = JSBON.view(binary);
+        Object.keys(view).forEach(function(key) { return view[key]; });
+        JSBON.get(binary, "/*");
+        assertUnpolluted(before);
+    });
+});
+
+test("__proto__ is decoded as an own property", function() {
+    var o = JSBON.decode(JSBON.encode(JSON.parse('{"__proto__": {"polluted": true}}')));
+    assert.ok(Object.prototype.hasOwnProperty.call(o, "__proto__"));
+    assert.strictEqual(Object.getPrototypeOf(o), Object.prototype);
+    assert.deepStrictEqual(Object.getOwnPropertyDescriptor(o, "__proto__").value, { polluted: true });
+    assert.strictEqual(o.polluted, undefined);
+});
+
+test("__proto__ in a stream and in a sequence", function() {
+    var before = snapshot();
+    var value = JSON.parse('{"__proto__": {"polluted": true}}');
+    var chunks = [];
+    return JSBON.encodeStream(value, function(chunk) { chunks.push(chunk); }).then(function() {
+        var decoder = new JSBON.StreamDecoder();
+        chunks.forEach(function(chunk) { decoder.push(chunk); });
+        var o = decoder.end();
+        assert.ok(Object.prototype.hasOwnProperty.call(o, "__proto__"));
+        JSBON.decodeSequence(JSBON.encodeSequence([value, value]));
+        assertUnpolluted(before);
+    });
+});
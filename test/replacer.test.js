@@ -0,0 +1,88 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+function roundTrip(value, options) {
+    return JSBON.decode(JSBON.encode(value, options));
+}
+
+test("the replacer filters properties", function() {
+    var replacer = function(key, value) {
+        return (key === "password") ? undefined : value;
+    };
+    var user = { name: "a", password: "secret", friends: [{ name: "b", password: "other" }] };
+    assert.deepStrictEqual(roundTrip(user, { replacer: replacer }), { name: "a", friends: [{ name: "b" }] });
+    assert.deepStrictEqual(roundTrip(user, { replacer: replacer }), JSON.parse(JSON.stringify(user, replacer)));
+});
+
+test("the replacer replaces values, with the holder as this", function() {
+    var calls = [];
+    var replacer = function(key, value) {
+        calls.push([this, key]);
+        return (typeof value === "number") ? value * 2 : value;
+    };
+    var value = { a: 1, list: [2, 3] };
+    assert.deepStrictEqual(roundTrip(value, { replacer: replacer }), { a: 2, list: [4, 6] });
+    assert.deepStrictEqual(calls.map(function(call) { return call[1]; }), ["", "a", "list", "0", "1"]);
+    assert.deepStrictEqual(calls[0][0], { "": value });
+    assert.strictEqual(calls[1][0], value);
+    assert.strictEqual(calls[3][0], value.list);
+    
+    // Elements removed by the replacer are kept as undefined
+    assert.deepStrictEqual(roundTrip([1, 2], { replacer: function(key, value) { return (key === "0") ? undefined : value; } }), [undefined, 2]);
+});
+
+test("an array replacer lists the properties to keep, in its order", function() {
+    var value = { b: 1, a: 2, c: { a: 3, d: 4 }, list: [{ a: 5, e: 6 }] };
+    var replacer = ["a", "c", "b", "list", 1];
+    var o = roundTrip(value, { replacer: replacer });
+    assert.deepStrictEqual(o, JSON.parse(JSON.stringify(value, replacer)));
+    assert.deepStrictEqual(Object.keys(o), ["a", "c", "b", "list"]);
+    assert.deepStrictEqual(o.list, [{ a: 5 }]);
+});
+
+test("toJSON is called with the key before the replacer", function() {
+    var calls = [];
+    var point = {
+        x: 1,
+        toJSON: function(key) {
+            calls.push("toJSON " + key);
+            return { x: this.x, key: key };
+        }
+    };
+    var replacer = function(key, value) {
+        calls.push("replacer " + key + " " + (value && value.key));
+        return value;
+    };
+    var value = { p: point, list: [point] };
+    var expected = JSON.parse(JSON.stringify(value, replacer));
+    var jsonCalls = calls.splice(0, calls.length);
+    assert.deepStrictEqual(roundTrip(value, { replacer: replacer }), expected);
+    assert.deepStrictEqual(calls.slice().sort(), jsonCalls.sort());
+    assert.strictEqual(calls[calls.indexOf("toJSON p") + 1], "replacer p p");
+    assert.strictEqual(calls[calls.indexOf("toJSON 0") + 1], "replacer 0 0");
+    
+    // toJSON may return any value, and Dates are encoded as such
+    var o = roundTrip({ s: { toJSON: function() { return "text"; } }, d: new Date(5) });
+    assert.deepStrictEqual(o, { s: "text", d: new Date(5) });
+});
+
+test("the replacer is called once per property of records not encoded by columns", function() {
+    var calls = [];
+    var replacer = function(key, value) {
+        calls.push(key);
+        return (key === "y" && value === 4) ? [value] : value;
+    };
+    var rows = [{ x: 1, y: 2 }, { x: 3, y: 4 }, { x: 5, y: 6 }];
+    var o = roundTrip(rows, { columnar: true, replacer: replacer });
+    assert.deepStrictEqual(o, [{ x: 1, y: 2 }, { x: 3, y: [4] }, { x: 5, y: 6 }]);
+    
+    var jsonCalls = [];
+    JSON.stringify(rows, function(key, value) {
+        jsonCalls.push(key);
+        return replacer.call(this, key, value);
+    });
+    assert.deepStrictEqual(calls.slice(calls.length / 2), jsonCalls);
+});
@@ -0,0 +1,47 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+// Reviver doubling numbers and removing 2, logging the keys it is called with
+function reviver(log) {
+    return function(key, value) {
+        log.push(key);
+        if (typeof value !== "number") {
+            return value;
+        }
+        return (value === 2) ? undefined : value * 2;
+    };
+}
+
+function check(value, options) {
+    var expected = [], actual = [];
+    var revived = JSON.parse(JSON.stringify(value), reviver(expected));
+    assert.deepStrictEqual(JSBON.decode(JSBON.encode(value, options), { reviver: reviver(actual) }), revived);
+    assert.deepStrictEqual(actual, expected);
+}
+
+test("the reviver is called for each element of packed arrays", function() {
+    check({ a: [1, 2, 3] });
+    check([1.5, 2, -3.25, 1e6]);
+    check({ a: [1, "x", 2] });
+    
+    var log = [];
+    var o = JSBON.decode(JSBON.encode([10, 20]), { reviver: reviver(log) });
+    assert.deepStrictEqual(o, [20, 40]);
+    assert.deepStrictEqual(log, ["0", "1", ""]);
+});
+
+test("the reviver is called for each property of records encoded by columns", function() {
+    check({ rows: [{ x: 1, y: 2 }, { x: 3, y: 4 }, { x: 5, y: 6 }] }, { columnar: true });
+});
+
+test("the reviver may replace packed arrays", function() {
+    var o = JSBON.decode(JSBON.encode({ a: [1, 2, 3] }), {
+        reviver: function(key, value) {
+            return (key === "a") ? value.length : value;
+        }
+    });
+    assert.deepStrictEqual(o, { a: 3 });
+});
@@ -0,0 +1,34 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+function concat(parts) {
+    return Buffer.concat(parts.map(function(part) { return Buffer.from(part); }));
+}
+
+test("records appended to a new file are decoded", function() {
+    var encoder = new JSBON.SequenceEncoder({ append: true });
+    assert.deepStrictEqual(JSBON.decodeSequence(encoder.encode({ a: 1 })), [{ a: 1 }]);
+    assert.deepStrictEqual(JSBON.decodeSequence(new JSBON.SequenceEncoder({ append: true }).header()), []);
+    
+    encoder = new JSBON.SequenceEncoder({ append: true, hasCRC: true });
+    var binary = concat([encoder.encode({ a: 1 }), encoder.encode({ a: 2 })]);
+    assert.deepStrictEqual(JSBON.decodeSequence(binary), [{ a: 1 }, { a: 2 }]);
+});
+
+test("records appended to an existing sequence are decoded", function() {
+    var first = new JSBON.SequenceEncoder();
+    var next = new JSBON.SequenceEncoder({ append: true });
+    var binary = concat([first.encode({ a: "x" }), first.encode({ a: "y" }), next.encode({ b: "x" }), next.encode({ a: "z" })]);
+    assert.deepStrictEqual(JSBON.decodeSequence(binary), [{ a: "x" }, { a: "y" }, { b: "x" }, { a: "z" }]);
+    assert.deepStrictEqual(Array.from(JSBON.iterateSequence(binary)).length, 4);
+});
+
+test("an empty sequence is decoded", function() {
+    assert.deepStrictEqual(JSBON.decodeSequence(new JSBON.SequenceEncoder().header()), []);
+    assert.throws(function() {
+        JSBON.decodeSequence(new Uint8Array(0));
+    }, { code: "TRUNCATED" });
+});
@@ -0,0 +1,42 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+var VALUE = { a: 1, list: ["x", "y"] };
+var SECRET = "secret";
+var ALGORITHMS = ["HMAC-SHA256", "HMAC-SHA384", "HMAC-SHA512"];
+
+test("signatures are checked with the algorithm of the data by default", function() {
+    ALGORITHMS.forEach(function(alg) {
+        var binary = JSBON.encode(VALUE, { sign: { key: SECRET, alg: alg } });
+        assert.deepStrictEqual(JSBON.decode(binary, { verify: { key: SECRET } }), VALUE);
+        assert.deepStrictEqual(JSBON.decode(binary, { verify: { key: SECRET, alg: alg } }), VALUE);
+        assert.throws(function() {
+            JSBON.decode(binary, { verify: { key: "other" } });
+        }, { code: "BAD_SIGNATURE" });
+    });
+});
+
+test("signatures with another algorithm than the given one are rejected", function() {
+    var binary = JSBON.encode(VALUE, { sign: { key: SECRET, alg: "HMAC-SHA512" } });
+    assert.throws(function() {
+        JSBON.decode(binary, { verify: { key: SECRET, alg: "HMAC-SHA256" } });
+    }, { code: "BAD_SIGNATURE" });
+    assert.throws(function() {
+        JSBON.decode(JSBON.encode(VALUE), { verify: { key: SECRET } });
+    }, { code: "BAD_SIGNATURE" });
+});
+
+test("signatures are checked asynchronously with the algorithm of the data", function() {
+    var binary = JSBON.encode(VALUE, { sign: { key: SECRET, alg: "HMAC-SHA384" } });
+    return JSBON.decodeAsync(binary, { verify: { key: SECRET } }).then(function(value) {
+        assert.deepStrictEqual(value, VALUE);
+        return JSBON.decodeAsync(binary, { verify: { key: SECRET, alg: "HMAC-SHA256" } });
+    }).then(function() {
+        assert.fail("Signature algorithm not checked");
+    }, function(e) {
+        assert.strictEqual(e.code, "BAD_SIGNATURE");
+    });
+});
@@ -0,0 +1,210 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+var value = {
+    list: [{ id: 1, name: "first", when: new Date(5) }, { id: 2, name: "second", tags: new Set(["a", "b"]) }],
+    map: new Map([[1, "one"], ["two", { n: [2.5, -3] }]]),
+    bytes: new Uint8Array([1, 2, 3]),
+    nested: [[[[]]]],
+    empty: {}
+};
+
+function pushAll(decoder, binary, chunkSize, onChunk) {
+    var complete = false;
+    for (var i = 0; i < binary.length; i += chunkSize) {
+        assert.strictEqual(complete, false);
+        complete = decoder.push(binary.subarray(i, i + chunkSize));
+        if (onChunk) {
+            onChunk(i + chunkSize);
+        }
+    }
+    return complete;
+}
+
+test("values pushed byte by byte are decoded once complete", function() {
+    [{}, { hasCRC: true }, { columnar: true }, { checksum: "crc32" }, { precision: 2 }].forEach(function(options) {
+        var binary = JSBON.encode(value, options);
+        var decoder = new JSBON.StreamDecoder();
+        assert.strictEqual(pushAll(decoder, binary, 1), true);
+        assert.strictEqual(decoder.state, JSBON.StreamDecoder.STATE_COMPLETE);
+        assert.deepStrictEqual(decoder.end(), JSBON.decode(binary));
+    });
+});
+
+test("tables of strings are available before the encoded value", function() {
+    var binary = JSBON.encode(value);
+    var decoder = new JSBON.StreamDecoder();
+    var received;
+    pushAll(decoder, binary, 1, function(size) {
+        if (received === undefined && decoder.state === JSBON.StreamDecoder.STATE_BODY) {
+            received = size;
+        }
+    });
+    assert.ok(received < binary.length / 2);
+    assert.ok(decoder.keys.indexOf("list") >= 0);
+    assert.ok(decoder.strings.indexOf("second") >= 0);
+});
+
+test("values encoded to a sink are decoded as they arrive", function() {
+    var chunks = [];
+    return JSBON.encodeStream(value, function(chunk) {
+        chunks.push(Uint8Array.from(chunk));
+    }, { hasCRC: true, chunkSize: 16 }).then(function() {
+        var decoder = new JSBON.StreamDecoder(), complete;
+        chunks.forEach(function(chunk) {
+            complete = decoder.push(chunk);
+        });
+        assert.strictEqual(complete, true);
+        assert.deepStrictEqual(decoder.end(), JSBON.decode(JSBON.encode(value)));
+    });
+});
+
+function delay() {
+    return new Promise(function(resolve) { setTimeout(resolve, 1); });
+}
+
+function decodeChunks(chunks) {
+    var decoder = new JSBON.StreamDecoder();
+    chunks.forEach(function(chunk) {
+        decoder.push(chunk);
+    });
+    return decoder.end();
+}
+
+var rows = [];
+for (var i = 0; i < 500; i += 1) {
+    rows.push({ id: i, name: "row " + i, values: [i, i / 2] });
+}
+
+test("encoding waits for a slow sink to be ready for more", function() {
+    var chunks = [], waiting = false;
+    return JSBON.encodeStream(rows, function(chunk) {
+        assert.strictEqual(waiting, false);
+        chunks.push(Uint8Array.from(chunk));
+        waiting = true;
+        return delay().then(function() {
+            waiting = false;
+        });
+    }, { chunkSize: 256 }).then(function(size) {
+        assert.ok(chunks.length > 10);
+        assert.strictEqual(size, chunks.reduce(function(total, chunk) { return total + chunk.length; }, 0));
+        assert.deepStrictEqual(decodeChunks(chunks), rows);
+    });
+});
+
+test("encoding waits for a Node Writable to drain, and removes its listeners", function() {
+    var Writable = require("stream").Writable;
+    var chunks = [], buffered = 0;
+    var sink = new Writable({
+        highWaterMark: 512,
+        write: function(chunk, encoding, callback) {
+            buffered = Math.max(buffered, sink.writableLength);
+            chunks.push(Uint8Array.from(chunk));
+            setTimeout(callback, 1);
+        }
+    });
+    return JSBON.encodeStream(rows, sink, { chunkSize: 256, hasCRC: true }).then(function() {
+        assert.ok(buffered <= 512 + 256);
+        assert.deepStrictEqual(decodeChunks(chunks), rows);
+        assert.strictEqual(sink.listenerCount("error"), 0);
+        assert.strictEqual(sink.listenerCount("drain"), 0);
+    });
+});
+
+test("encoding waits for the queue of a WHATWG WritableStream", function() {
+    var chunks = [], queued = 0;
+    var sink = new WritableStream({
+        write: function(chunk) {
+            chunks.push(Uint8Array.from(chunk));
+            return delay();
+        }
+    }, { highWaterMark: 2 });
+    var getWriter = sink.getWriter;
+    sink.getWriter = function() {
+        var writer = getWriter.call(sink), write = writer.write;
+        writer.write = function(chunk) {
+            queued = Math.max(queued, 2 - writer.desiredSize);
+            return write.call(writer, chunk);
+        };
+        return writer;
+    };
+    return JSBON.encodeStream(rows, sink, { chunkSize: 256 }).then(function() {
+        assert.ok(chunks.length > 10);
+        assert.ok(queued <= 2);
+        assert.deepStrictEqual(decodeChunks(chunks), rows);
+    });
+});
+
+test("data following an ArrayBuffer are output as they are encoded", function() {
+    var buffer = new ArrayBuffer(16);
+    var value = { floats: new Float64Array(buffer, 0, 1), words: new Uint16Array(buffer, 8, 4), buffer: buffer, rows: rows };
+    value.floats[0] = 1.5;
+    value.words[1] = 0x1234;
+    var chunks = [];
+    return JSBON.encodeStream(value, function(chunk) {
+        chunks.push(Uint8Array.from(chunk));
+    }, { chunkSize: 256 }).then(function() {
+        assert.ok(chunks.length > 10);
+        var o = decodeChunks(chunks);
+        assert.deepStrictEqual(o, JSBON.decode(JSBON.encode(value)));
+        assert.strictEqual(o.floats.buffer, o.buffer);
+        assert.strictEqual(o.words.buffer, o.buffer);
+        assert.strictEqual(o.floats[0], 1.5);
+        assert.strictEqual(o.words[1], 0x1234);
+    });
+});
+
+test("circular references are resolved when decoded incrementally", function() {
+    var obj = { a: "x" };
+    obj.self = obj;
+    var decoder = new JSBON.StreamDecoder();
+    pushAll(decoder, JSBON.encode(obj), 1);
+    var decoded = decoder.end();
+    assert.strictEqual(decoded.self, decoded);
+});
+
+test("large values are decoded incrementally", function() {
+    var list = [];
+    for (var i = 0; i < 20000; i += 1) {
+        list.push({ id: i, name: "item " + (i % 100) });
+    }
+    var binary = JSBON.encode(list);
+    var decoder = new JSBON.StreamDecoder();
+    assert.strictEqual(pushAll(decoder, binary, 100), true);
+    assert.deepStrictEqual(decoder.end(), list);
+});
+
+test("compressed data are decoded at the end of data", function() {
+    var binary = JSBON.encode(value, { compress: true });
+    var decoder = new JSBON.StreamDecoder();
+    assert.strictEqual(pushAll(decoder, binary, 7), false);
+    assert.deepStrictEqual(decoder.end(), JSBON.decode(binary));
+});
+
+test("incomplete or corrupt data are reported", function() {
+    var binary = JSBON.encode(value, { hasCRC: true });
+    var decoder = new JSBON.StreamDecoder();
+    decoder.push(binary.subarray(0, binary.length - 1));
+    assert.throws(function() {
+        decoder.end();
+    }, { code: "TRUNCATED" });
+    
+    var extra = new Uint8Array(binary.length + 1);
+    extra.set(binary);
+    assert.throws(function() {
+        new JSBON.StreamDecoder().push(extra);
+    }, { code: "INVALID_DATA" });
+    
+    var corrupt = JSBON.encode({ a: 300 }, { hasCRC: true });
+    corrupt[corrupt.length - 1] ^= 1;
+    assert.throws(function() {
+        new JSBON.StreamDecoder().push(corrupt);
+    }, { code: "CRC_MISMATCH" });
+    
+    assert.throws(function() {
+        new JSBON.StreamDecoder({ maxDepth: 2 }).push(JSBON.encode([[[[1]]]]));
+    }, { code: "LIMIT_EXCEEDED" });
+});
@@ -0,0 +1,65 @@
+"use strict";
+
+var test = require("node:test");
+var assert = require("assert");
+var JSBON = require("../JSBON");
+
+function hex(binary) {
+    return Buffer.from(binary).toString("hex");
+}
+
+test("arrays of numbers are only packed in version 2", function() {
+    var value = { n: [1, 2, 3, 4, 5, 6, 7, 8] };
+    assert.ok(hex(JSBON.encode(value)).includes("443208")); // Packed as a Uint8Array
+    
+    var binary = JSBON.encode(value, { version: 1 });
+    assert.ok(hex(binary).includes("3108")); // Regular array
+    assert.strictEqual(binary.indexOf(JSBON.Encoder.TAG_PACKED_ARRAY), -1);
+    assert.deepStrictEqual(JSBON.decode(binary), value);
+});
+
+test("shapes are only used in version 2", function() {
+    var value = [{ x: 1, y: "a" }, { x: 2, y: "b" }, { x: 3, y: "c" }];
+    assert.notStrictEqual(JSBON.encode(value).indexOf(JSBON.Encoder.TAG_SHAPED_OBJECT), -1);
+    
+    var binary = JSBON.encode(value, { version: 1 });
+    assert.strictEqual(binary.indexOf(JSBON.Encoder.TAG_SHAPED_OBJECT), -1);
+    assert.strictEqual(binary[0] & JSBON.Encoder.OPTION_EXTENDED, 0);
+    assert.deepStrictEqual(JSBON.decode(binary), value);
+});
+
+test("version 1 data are decoded by version 1 decoders", function() {
+    var v1 = require("./fixtures/v1/JSBON");
+    var shared = { id: 1 };
+    var values = [
+        [{ x: 1, y: "a" }, { x: 2, y: "b" }, { x: 3, y: "c" }],
+        { n: [1, 2, 3, 4, 5, 6, 7, 8], f: [1.5, -2.25, 1e300], big: [Math.pow(2, 40), -Math.pow(2, 50)] },
+        { date: new Date(0), bytes: new Uint8Array([1, 2, 3]), part: new Uint8Array([1, 2, 3, 4]).subarray(1, 3), none: null, u: undefined },
+        { a: shared, b: [shared, shared], text: "é€😀" }
+    ];
+    values.forEach(function(value) {
+        assert.deepStrictEqual(v1.decode(JSBON.encode(value, { version: 1 })), value);
+        assert.deepStrictEqual(v1.decode(JSBON.encode(value, { version: 1, hasCRC: true, canonical: true })), value);
+    });
+    
+    var cycle = { name: "root" };
+    cycle.self = cycle;
+    var decoded = v1.decode(JSBON.encode(cycle, { version: 1 }));
+    assert.strictEqual(decoded.self, decoded);
+});
+
+test("features unknown to version 1 decoders are rejected in version 1", function() {
+    [new Map(), new Set(), BigInt(1), new Int16Array(2), new ArrayBuffer(2), new DataView(new ArrayBuffer(2))].forEach(function(value) {
+        assert.throws(function() {
+            JSBON.encode({ value: value }, { version: 1 });
+        }, { code: "UNSUPPORTED_TYPE" });
+    });
+    [{ precision: 2 }, { columnar: true }, { compress: true }, { checksum: "SHA-256" }, { sign: { key: "secret" } }].forEach(function(options) {
+        assert.throws(function() {
+            JSBON.encode({}, Object.assign({ version: 1 }, options));
+        }, { code: "INVALID_ARGUMENT" });
+    });
+    assert.throws(function() {
+        new JSBON.SequenceEncoder({ version: 1 });
+    }, { code: "INVALID_ARGUMENT" });
+});